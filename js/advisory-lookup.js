@@ -0,0 +1,190 @@
+// Advisory Lookup
+// Answers "which repos are affected by CVE-X?" for the tracker search and the quick lookup: finds the
+// repositories with Dependabot or code scanning alerts for a CVE ID, GHSA ID, CWE or package name.
+// Reads the per-alert side file (data/alerts.json, `--alert-details`) and falls back to the open
+// Dependabot alerts in the package inventory (data/packages.json) when the sync ran without it.
+
+class AdvisoryLookup {
+    constructor() {
+        this.alertsByRepo = {};
+        this.source = null; // 'alerts', 'packages' or null (no alert data)
+        this.loaded = false;
+    }
+
+    // Returns { type, value } for a CVE, GHSA or CWE id or a "package:<name>" query, null for anything else
+    static parseQuery(query) {
+        const text = (query || '').trim();
+        let match;
+        if ((match = /^CVE-(\d{4}-\d{4,})$/i.exec(text))) return { type: 'cve', value: `CVE-${match[1]}` };
+        if ((match = /^GHSA((-[0-9a-z]{4}){3})$/i.exec(text))) return { type: 'ghsa', value: `GHSA${match[1].toLowerCase()}` };
+        if ((match = /^CWE-?0*(\d+)$/i.exec(text))) return { type: 'cwe', value: `CWE-${match[1]}` };
+        if ((match = /^(?:package|pkg):\s*(\S.*)$/i.exec(text))) return { type: 'package', value: match[1].trim() };
+        return null;
+    }
+
+    static getSearchUrl(query) {
+        return `index.html?search=${encodeURIComponent(query)}`;
+    }
+
+    static async loadPackageNames() {
+        try {
+            const response = await fetch('data/packages.json');
+            if (!response.ok) return AdvisoryLookup.packageNames;
+            const data = await response.json();
+            AdvisoryLookup.packageNames = [...new Set((data.packages || []).map(pkg => pkg.name))].sort();
+        } catch (error) {
+            console.warn('Package inventory not available:', error);
+        }
+        return AdvisoryLookup.packageNames;
+    }
+
+    // Quick lookup entries ({ type: 'advisory', name, display, icon }) for an id or matching package names
+    static getQuickLookupMatches(query) {
+        const parsed = AdvisoryLookup.parseQuery(query);
+        if (parsed) {
+            const name = parsed.type === 'package' ? `package:${parsed.value}` : parsed.value;
+            return [{ type: 'advisory', name: name, display: `Repos affected by ${parsed.value}`, icon: 'cil-shield-alt' }];
+        }
+
+        const q = (query || '').trim().toLowerCase();
+        if (q.length < 2) return [];
+        return AdvisoryLookup.packageNames
+            .filter(name => name.toLowerCase().includes(q))
+            .slice(0, 3)
+            .map(name => ({ type: 'advisory', name: `package:${name}`, display: `Repos affected by package ${name}`, icon: 'cil-shield-alt' }));
+    }
+
+    async load() {
+        try {
+            const response = await fetch('data/alerts.json');
+            if (response.ok) {
+                const data = await response.json();
+                this.alertsByRepo = data.repositories || {};
+                this.source = 'alerts';
+            } else {
+                await this.loadFromPackages();
+            }
+        } catch (error) {
+            console.warn('Alert details not available:', error);
+            await this.loadFromPackages();
+        }
+        this.loaded = true;
+        return this.source !== null;
+    }
+
+    // One open Dependabot alert per advisory and repo (the inventory doesn't keep CWEs or closed alerts)
+    async loadFromPackages() {
+        try {
+            const response = await fetch('data/packages.json');
+            if (!response.ok) return;
+            const data = await response.json();
+            const alertsByRepo = {};
+            (data.packages || []).forEach(pkg => {
+                const advisories = new Map((pkg.advisories || []).map(advisory => [advisory.ghsaId, advisory]));
+                (pkg.repos || []).forEach(repo => {
+                    const key = `${repo.organization}/${repo.repository}`;
+                    (repo.advisories || []).forEach(ghsaId => {
+                        const advisory = advisories.get(ghsaId) || {};
+                        (alertsByRepo[key] = alertsByRepo[key] || []).push({
+                            tool: 'dependabot',
+                            state: 'open',
+                            severity: advisory.severity,
+                            title: advisory.summary,
+                            cve: advisory.cveId,
+                            ghsa: ghsaId,
+                            package: pkg.name,
+                            ecosystem: pkg.ecosystem
+                        });
+                    });
+                });
+            });
+            this.alertsByRepo = alertsByRepo;
+            this.source = 'packages';
+        } catch (error) {
+            console.warn('Package inventory not available:', error);
+        }
+    }
+
+    matchesAlert(alert, query) {
+        if (alert.tool !== 'dependabot' && alert.tool !== 'codeScanning') return false;
+        const value = query.value.toLowerCase();
+        if (query.type === 'cve') return (alert.cve || '').toLowerCase() === value;
+        if (query.type === 'ghsa') return (alert.ghsa || '').toLowerCase() === value;
+        if (query.type === 'cwe') return (alert.cwe || []).some(cwe => cwe.toLowerCase() === value);
+        return (alert.package || '').toLowerCase() === value;
+    }
+
+    // open, fixed or dismissed (the sync keeps closed alerts for 90 days)
+    getAlertState(alert) {
+        if (alert.state === 'open') return 'open';
+        return alert.fixedAt || alert.state === 'fixed' ? 'fixed' : 'dismissed';
+    }
+
+    // "org/repo" keys of every repository with a matching alert
+    getAffectedKeys(query) {
+        const keys = new Set();
+        Object.entries(this.alertsByRepo).forEach(([key, alerts]) => {
+            if (alerts.some(alert => this.matchesAlert(alert, query))) keys.add(key);
+        });
+        return keys;
+    }
+
+    // Affected repositories among repos with their matching alerts, repos with open alerts first
+    find(query, repos) {
+        const severityOrder = ['critical', 'high', 'medium', 'low'];
+        const results = [];
+
+        repos.forEach(repo => {
+            const alerts = (this.alertsByRepo[`${repo.organization}/${repo.repository}`] || [])
+                .filter(alert => this.matchesAlert(alert, query));
+            if (alerts.length === 0) return;
+
+            const counts = { open: 0, fixed: 0, dismissed: 0 };
+            alerts.forEach(alert => counts[this.getAlertState(alert)]++);
+            const severities = alerts.filter(alert => this.getAlertState(alert) === 'open').map(alert => alert.severity);
+            results.push({
+                repo: repo,
+                alerts: alerts,
+                ...counts,
+                severity: severityOrder.find(severity => severities.includes(severity)) || null,
+                packages: [...new Set(alerts.map(alert => alert.package).filter(Boolean))],
+                advisories: [...new Set(alerts.map(alert => alert.ghsa || alert.cve || alert.ruleId).filter(Boolean))]
+            });
+        });
+
+        return results.sort((a, b) => b.open - a.open ||
+            `${a.repo.organization}/${a.repo.repository}`.localeCompare(`${b.repo.organization}/${b.repo.repository}`));
+    }
+
+    toCSV(query, results) {
+        const headers = ['Query', 'Organization', 'Repository', 'Pods', 'Engineering Managers', 'Alert State', 'Open', 'Fixed', 'Dismissed', 'Highest Open Severity', 'Packages', 'Advisories / Rules', 'GitHub URL'];
+        const rows = [headers.join(',')];
+
+        results.forEach(result => {
+            const repo = result.repo;
+            const pods = Array.isArray(repo._allPods) && repo._allPods.length > 0 ? repo._allPods.join(', ') : (repo.pod || '');
+            const managers = Array.isArray(repo._allManagers) && repo._allManagers.length > 0 ? repo._allManagers.join(', ') : (repo.engineeringManager || '');
+            const row = [
+                query.type === 'package' ? `package:${query.value}` : query.value,
+                repo.organization,
+                repo.repository,
+                pods,
+                managers,
+                result.open > 0 ? 'open' : (result.fixed > 0 ? 'fixed' : 'dismissed'),
+                result.open,
+                result.fixed,
+                result.dismissed,
+                result.severity || '',
+                result.packages.join(', '),
+                result.advisories.join(', '),
+                repo.githubUrl || `https://github.com/${repo.organization}/${repo.repository}`
+            ].map(cell => `"${String(cell).replace(/"/g, '""')}"`);
+            rows.push(row.join(','));
+        });
+
+        return rows.join('\n');
+    }
+}
+
+// Package names from data/packages.json, for quick lookup suggestions
+AdvisoryLookup.packageNames = [];
@@ -0,0 +1,134 @@
+// Alert Findings Drill-down
+// Loads the per-alert side file written by `sync-github-data.js --alert-details` (data/alerts.json)
+// and lists the findings behind a count on the pod, manager and vertical pages.
+
+class AlertFindings {
+    constructor(panelId) {
+        this.panelId = panelId;
+        this.alertsByRepo = {};
+        this.repos = [];
+        this.loaded = false;
+    }
+
+    // Returns false when the side file doesn't exist (sync ran without --alert-details)
+    async load() {
+        try {
+            const response = await fetch('data/alerts.json');
+            if (!response.ok) return false;
+            const data = await response.json();
+            this.alertsByRepo = data.repositories || {};
+            this.loaded = true;
+        } catch (error) {
+            console.warn('Alert details not available:', error);
+            this.loaded = false;
+        }
+        return this.loaded;
+    }
+
+    setRepos(repos) {
+        this.repos = repos || [];
+    }
+
+    // Make a stats card clickable; filter is { tool, severities } (both optional)
+    attachToCard(valueElementId, filter, label) {
+        const valueEl = document.getElementById(valueElementId);
+        const card = valueEl ? valueEl.closest('.card') : null;
+        if (!card || !this.loaded) return;
+
+        card.style.cursor = 'pointer';
+        card.title = 'Show findings';
+        card.addEventListener('click', () => this.show(filter, label));
+    }
+
+    getFindings(filter = {}) {
+        const findings = [];
+        this.repos.forEach(repo => {
+            const key = `${repo.organization}/${repo.repository}`;
+            (this.alertsByRepo[key] || []).forEach(alert => {
+                if (alert.state !== 'open') return;
+                if (filter.tool && alert.tool !== filter.tool) return;
+                if (filter.severities && !filter.severities.includes(alert.severity)) return;
+                findings.push({ ...alert, repo: repo });
+            });
+        });
+
+        const severityOrder = { critical: 0, high: 1, medium: 2, low: 3 };
+        return findings.sort((a, b) => {
+            const severityDiff = (severityOrder[a.severity] ?? 4) - (severityOrder[b.severity] ?? 4);
+            if (severityDiff !== 0) return severityDiff;
+            return new Date(a.createdAt) - new Date(b.createdAt);
+        });
+    }
+
+    show(filter, label) {
+        const panel = document.getElementById(this.panelId);
+        if (!panel) return;
+
+        const findings = this.getFindings(filter);
+        const toolLabels = { codeScanning: 'SAST', dependabot: 'SCA', secretScanning: 'Secret' };
+        const severityBadges = { critical: 'bg-danger', high: 'bg-warning text-dark', medium: 'bg-info', low: 'bg-secondary' };
+
+        const rows = findings.map(alert => {
+            const identifiers = [alert.cve, alert.ghsa, ...(alert.cwe || [])].filter(Boolean).join(', ');
+            const subject = alert.package
+                ? `${this.escapeHtml(alert.package)}${alert.ecosystem ? ` <small class="text-muted">(${this.escapeHtml(alert.ecosystem)})</small>` : ''}`
+                : `<code>${this.escapeHtml(alert.ruleId || '')}</code>`;
+            const ageDays = alert.createdAt ? Math.floor((Date.now() - new Date(alert.createdAt)) / (1000 * 60 * 60 * 24)) : null;
+
+            return `
+                <tr>
+                    <td><strong>${this.escapeHtml(alert.repo.repository)}</strong></td>
+                    <td><span class="badge bg-secondary">${toolLabels[alert.tool] || alert.tool}</span></td>
+                    <td>${alert.severity ? `<span class="badge ${severityBadges[alert.severity] || 'bg-secondary'}">${this.escapeHtml(alert.severity)}</span>` : '<span class="text-muted">—</span>'}</td>
+                    <td>
+                        ${subject}
+                        ${alert.title && alert.title !== alert.ruleId ? `<small class="text-muted d-block">${this.escapeHtml(alert.title)}</small>` : ''}
+                    </td>
+                    <td><small>${this.escapeHtml(identifiers) || '—'}</small></td>
+                    <td>${ageDays !== null ? `${ageDays}d` : '—'}</td>
+                    <td>${alert.htmlUrl ? `<a href="${this.escapeHtml(alert.htmlUrl)}" target="_blank" rel="noopener noreferrer"><i class="cil-external-link"></i> GitHub</a>` : ''}</td>
+                </tr>
+            `;
+        }).join('');
+
+        panel.innerHTML = `
+            <div class="card mb-4">
+                <div class="card-header d-flex justify-content-between align-items-center">
+                    <strong><i class="cil-magnifying-glass"></i> Findings: ${this.escapeHtml(label || 'All open alerts')}</strong>
+                    <div class="d-flex align-items-center gap-2">
+                        <span class="badge bg-secondary">${findings.length}</span>
+                        <button type="button" class="btn-close" aria-label="Close" onclick="document.getElementById('${this.panelId}').classList.add('d-none')"></button>
+                    </div>
+                </div>
+                <div class="card-body">
+                    ${findings.length === 0 ? '<p class="text-muted mb-0">No open findings in the alert details file.</p>' : `
+                    <div class="table-responsive" style="max-height: 480px; overflow-y: auto;">
+                        <table class="table table-sm table-hover">
+                            <thead>
+                                <tr>
+                                    <th>Repository</th>
+                                    <th>Type</th>
+                                    <th>Severity</th>
+                                    <th>Rule / Package</th>
+                                    <th>CVE / GHSA / CWE</th>
+                                    <th>Age</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>`}
+                </div>
+            </div>
+        `;
+        panel.classList.remove('d-none');
+        panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
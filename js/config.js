@@ -29,6 +29,17 @@ const CONFIG = {
         options: [25, 50, 100, 0] // 0 means "show all"
     },
     
+    // Risk score exposure multipliers (fork and template multiply on top of visibility)
+    riskScore: {
+        exposureMultipliers: {
+            public: 1.2,
+            internal: 1.1,
+            private: 1.0,
+            fork: 1.0,
+            template: 1.1 // Code is copied into every repo created from it
+        }
+    },
+    
     // Features
     features: {
         darkMode: true,
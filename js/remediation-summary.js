@@ -0,0 +1,146 @@
+// New vs Remediated
+// Adds up the findings opened, fixed and dismissed in the last 30 days from the per-tool summaries
+// written by `sync-github-data.js` and renders the New vs Remediated card on the dashboard, pod and manager pages.
+
+const DISMISSAL_REASON_LABELS = {
+    false_positive: 'False positive',
+    wont_fix: "Won't fix",
+    used_in_tests: 'Used in tests',
+    tolerable_risk: 'Tolerable risk',
+    not_used: 'Not used',
+    fix_started: 'Fix started',
+    auto_dismissed: 'Auto-dismissed',
+    other: 'Other'
+};
+
+class RemediationSummary {
+    // severityFilter is the page's filter: all, critical, high or critical-high
+    constructor(severityFilter = 'all') {
+        this.severityFilter = severityFilter;
+        this.rows = { sast: this.emptyRow(), sca: this.emptyRow(), secrets: this.emptyRow() };
+        this.reasons = {};
+    }
+
+    emptyRow() {
+        return { new: 0, fixed: 0, dismissed: 0, unsplit: 0 };
+    }
+
+    // Sum a total or, under a severity filter, its by-severity breakdown (secrets have none)
+    count(total, bySeverity) {
+        const severities = { critical: ['critical'], high: ['high'], 'critical-high': ['critical', 'high'] }[this.severityFilter];
+        return severities
+            ? severities.reduce((sum, severity) => sum + ((bySeverity || {})[severity] || 0), 0)
+            : (total || 0);
+    }
+
+    // Fixed and dismissed alerts of a tool summary. Data synced before the split only has
+    // closedLast30Days, which can't be told apart, so it is returned as unsplit.
+    getResolvedLast30Days(summary) {
+        if (summary.fixedLast30Days === undefined) {
+            return { fixed: 0, dismissed: 0, unsplit: this.count(summary.closedLast30Days, summary.closedLast30DaysBySeverity) };
+        }
+        return {
+            fixed: this.count(summary.fixedLast30Days, summary.fixedLast30DaysBySeverity),
+            dismissed: this.count(summary.dismissedLast30Days, summary.dismissedLast30DaysBySeverity),
+            unsplit: 0
+        };
+    }
+
+    // Add a repository's vulnerabilities ({ codeScanning, dependabot, secretScanning })
+    addRepo(vulns) {
+        const summaries = {
+            sast: vulns.codeScanning || {},
+            sca: vulns.dependabot || {},
+            secrets: vulns.secretScanning || {}
+        };
+        Object.entries(summaries).forEach(([type, summary]) => {
+            const row = this.rows[type];
+            const resolved = this.getResolvedLast30Days(summary);
+            row.new += this.count(summary.openedLast30Days, summary.openedLast30DaysBySeverity);
+            row.fixed += resolved.fixed;
+            row.dismissed += resolved.dismissed;
+            row.unsplit += resolved.unsplit;
+
+            // Reasons aren't broken down by severity
+            if (this.severityFilter === 'all') {
+                Object.entries(summary.dismissalReasonsLast30Days || {}).forEach(([reason, count]) => {
+                    this.reasons[reason] = (this.reasons[reason] || 0) + count;
+                });
+            }
+        });
+    }
+
+    getTotal() {
+        const total = this.emptyRow();
+        Object.values(this.rows).forEach(row => {
+            Object.keys(total).forEach(key => { total[key] += row[key]; });
+        });
+        return total;
+    }
+
+    getNet(row) {
+        return row.new - row.fixed - row.dismissed - row.unsplit;
+    }
+
+    formatNet(row) {
+        const net = this.getNet(row);
+        return net > 0 ? `+${net}` : net;
+    }
+
+    // Fill the stats cards, the per-type table and the notes below it
+    render() {
+        const total = this.getTotal();
+        const net = this.getNet(total);
+        const remediationRate = total.new > 0 ? Math.round((total.fixed / total.new) * 100) : 0;
+
+        document.getElementById('newFindings30').textContent = total.new;
+        document.getElementById('remediated30').textContent = total.fixed;
+        document.getElementById('dismissed30').textContent = total.unsplit > 0
+            ? `${total.dismissed} dismissed · ${total.unsplit} unsplit`
+            : `${total.dismissed} dismissed`;
+        document.getElementById('netChange30').textContent = this.formatNet(total);
+        document.getElementById('netChange30').style.color = net > 0 ? '#e55353' : '#2eb85c';
+        document.getElementById('remediationRate30').textContent = `${remediationRate}%`;
+
+        const renderRow = (label, row) => `
+            <tr>
+                <td><strong>${label}</strong></td>
+                <td class="text-center">${row.new}</td>
+                <td class="text-center"><span class="text-success">${row.fixed}</span></td>
+                <td class="text-center"><span class="text-medium-emphasis">${row.dismissed}</span></td>
+                <td class="text-center">${this.formatNet(row)}</td>
+            </tr>`;
+
+        document.getElementById('newVsRemediatedTable').innerHTML = `
+            ${renderRow('SAST', this.rows.sast)}
+            ${renderRow('SCA', this.rows.sca)}
+            ${renderRow('Secrets', this.rows.secrets)}
+            <tr class="table-active">
+                <td><strong>Total</strong></td>
+                <td class="text-center"><strong>${total.new}</strong></td>
+                <td class="text-center"><strong><span class="text-success">${total.fixed}</span></strong></td>
+                <td class="text-center"><strong><span class="text-medium-emphasis">${total.dismissed}</span></strong></td>
+                <td class="text-center"><strong>${this.formatNet(total)}</strong></td>
+            </tr>
+        `;
+
+        const notes = [];
+        const reasonEntries = Object.entries(this.reasons).filter(([, count]) => count > 0).sort((a, b) => b[1] - a[1]);
+        if (reasonEntries.length > 0) {
+            notes.push(`<i class="cil-ban"></i> Dismissed as: ${reasonEntries.map(([reason, count]) =>
+                `${this.escapeHtml(DISMISSAL_REASON_LABELS[reason] || reason)} <strong>${count}</strong>`).join(' · ')}`);
+        }
+        if (total.unsplit > 0) {
+            notes.push(`<i class="cil-history"></i> <strong>${total.unsplit}</strong> closed alert${total.unsplit === 1 ? '' : 's'} ` +
+                'from data synced before fixed and dismissed were counted apart (in neither column, not in the remediation rate)');
+        }
+        document.getElementById('dismissalReasons30').innerHTML = notes.join('<br>');
+    }
+
+    escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
@@ -4,6 +4,7 @@
 class RepositoryTracker {
     constructor() {
         this.allRepos = [];
+        this.archivedRepos = []; // Kept by the sync with their final vulnerability snapshot, shown in the Archived tab
         this.filteredRepos = [];
         this.currentSort = { column: null, direction: 'asc' };
         this.activeFilters = {
@@ -14,6 +15,7 @@ class RepositoryTracker {
             status: [],
             search: '',
             noPod: false,
+            archived: false, // Archived tab instead of active repositories
             // Advanced filters
             timeFilters: {
                 recent7Days: false,
@@ -29,7 +31,8 @@ class RepositoryTracker {
                 missingManager: false,
                 noActivityDate: false,
                 missingLanguage: false,
-                multiplePods: false
+                multiplePods: false,
+                nonCompliant: false
             },
             securityFilters: {
                 critical: false,
@@ -40,6 +43,13 @@ class RepositoryTracker {
                 secrets: false,
                 secure: false
             },
+            exposureFilters: {
+                public: false,
+                internal: false,
+                private: false,
+                fork: false,
+                template: false
+            },
             topAttributes: {
                 languages: [],
                 pods: [],
@@ -53,6 +63,14 @@ class RepositoryTracker {
         this.cacheKey = 'repo_data_cache';
         this.cacheTimestampKey = 'repo_data_timestamp';
         this.cacheMaxAge = 5 * 60 * 1000; // 5 minutes
+        this.schema = null; // data/repository-schema.json, loaded with the data
+        // CVE/GHSA/CWE/package searches, answered from the alert details (loaded on first use)
+        this.advisoryLookup = typeof AdvisoryLookup !== 'undefined' ? new AdvisoryLookup() : null;
+        this.advisoryLookupLoading = null;
+        this.advisoryResults = null;
+
+        // Risk score exposure multipliers (js/config.js, also read by the sync)
+        this.exposureMultipliers = CONFIG.riskScore.exposureMultipliers;
         
         // Debounce timer
         this.searchDebounceTimer = null;
@@ -80,6 +98,8 @@ class RepositoryTracker {
         
         // Load pod manager map FIRST so managers are available before first render
         try { await this.loadPodManagers(); } catch {}
+        // Package names for the search suggestions (the alert data itself loads on the first advisory search)
+        if (this.advisoryLookup) AdvisoryLookup.loadPackageNames();
         
         // Load data
             this.loadStateFromURL();
@@ -124,10 +144,10 @@ class RepositoryTracker {
         return map;
     }
 
-    normalizeRepositories(repos) {
+    normalizeRepositories(repos, archived = false) {
         // Normalize data (ensure fields have expected shapes)
-        // Filter out archived repositories - only process active repositories
-        return (repos || []).filter(repo => repo.status !== 'archived').map(repo => {
+        // Active and archived repositories are kept apart (archived ones only show in the Archived tab)
+        return (repos || []).filter(repo => (repo.status === 'archived') === archived).map(repo => {
             const normalized = { ...repo };
             
             // Pod may be an array from sync; handle it properly
@@ -251,15 +271,18 @@ class RepositoryTracker {
                 this.render();
             }
             
-            // Fetch fresh data
-            const response = await fetch('data/repositories.json', {
-                headers: { 'Cache-Control': 'max-age=300' }
-            });
+            // Fetch fresh data (and the schema it is validated against)
+            const [response] = await Promise.all([
+                fetch('data/repositories.json', {
+                    headers: { 'Cache-Control': 'max-age=300' }
+                }),
+                this.loadSchema()
+            ]);
             if (!response.ok) throw new Error(`HTTP ${response.status}`);
             
             const data = await response.json();
             
-            // Quick validation (skip detailed checks for speed)
+            // Schema validation (skip the sample checks for speed)
             const validation = this.validateData(data, true);
             if (!validation.valid) {
                 console.error('Data validation failed:', validation.errors);
@@ -269,6 +292,7 @@ class RepositoryTracker {
 
             // Set data and render fast (normalize first - filters out archived)
             this.allRepos = this.normalizeRepositories(data.repositories || []);
+            this.archivedRepos = this.enrichRepositories(this.normalizeRepositories(data.repositories || [], true));
             this.applyPodManagers();
                 this.onDataLoaded();
             
@@ -340,12 +364,14 @@ class RepositoryTracker {
             });
             if (!response.ok) return;
             const data = await response.json();
-            // Quick validation for background fetch
+            // Schema validation for background fetch
+            await this.loadSchema();
             const validation = this.validateData(data, true);
             if (validation.valid) {
                 // Normalize before enriching
                 const normalized = this.normalizeRepositories(data.repositories || []);
                 this.allRepos = this.enrichRepositories(normalized);
+                this.archivedRepos = this.enrichRepositories(this.normalizeRepositories(data.repositories || [], true));
                 this.applyPodManagers();
                 this.setCachedData(this.allRepos);
                 if (data.metadata) {
@@ -411,6 +437,18 @@ class RepositoryTracker {
         return repo;
     }
 
+    // Returns null (and validateData falls back to basic checks) when the schema can't be loaded
+    async loadSchema() {
+        if (this.schema) return this.schema;
+        try {
+            const response = await fetch('data/repository-schema.json');
+            if (response.ok) this.schema = await response.json();
+        } catch (error) {
+            console.warn('Data schema not available:', error);
+        }
+        return this.schema;
+    }
+
     validateData(data, skipDetailed = false) {
         const errors = [];
         const warnings = [];
@@ -430,6 +468,12 @@ class RepositoryTracker {
             return { valid: true, errors, warnings }; // Empty is valid
         }
 
+        // Same schema the sync checks before writing the file (js/schema-validator.js)
+        if (this.schema && typeof validateAgainstSchema === 'function') {
+            errors.push(...validateAgainstSchema(this.schema, data, { maxErrors: 5 }));
+            return { valid: errors.length === 0, errors, warnings };
+        }
+
         // Skip detailed validation for cached/pre-validated data to speed up loading
         if (skipDetailed) {
             return { valid: true, errors, warnings };
@@ -554,10 +598,20 @@ class RepositoryTracker {
     }
 
     applyFilters() {
-        let filtered = [...this.allRepos];
-
-        // Search filter
-        if (this.activeFilters.search) {
+        let filtered = [...(this.activeFilters.archived ? this.archivedRepos : this.allRepos)];
+        this.updateArchiveTabs();
+
+        // Search filter (a CVE, GHSA or CWE id or "package:<name>" finds the repos with alerts for it)
+        const advisoryQuery = this.getAdvisoryQuery();
+        if (advisoryQuery) {
+            if (this.advisoryLookup.loaded) {
+                const affected = this.advisoryLookup.getAffectedKeys(advisoryQuery);
+                filtered = filtered.filter(repo => affected.has(`${repo.organization}/${repo.repository}`));
+            } else {
+                this.loadAdvisoryLookup();
+                filtered = [];
+            }
+        } else if (this.activeFilters.search) {
             const searchTerm = this.activeFilters.search.toLowerCase();
             filtered = filtered.filter(repo => {
                 return Object.values(repo).some(val => 
@@ -665,6 +719,9 @@ class RepositoryTracker {
         if (this.activeFilters.healthFilters.multiplePods) {
             filtered = filtered.filter(r => r._allPods && Array.isArray(r._allPods) && r._allPods.length > 1);
         }
+        if (this.activeFilters.healthFilters.nonCompliant) {
+            filtered = filtered.filter(r => r.compliance && r.compliance.status === 'non-compliant');
+        }
 
         // Security filters
         if (this.activeFilters.securityFilters.critical) {
@@ -728,6 +785,19 @@ class RepositoryTracker {
             });
         }
 
+        // Exposure filters (checked visibilities are alternatives; fork/template narrow further)
+        const exposure = this.activeFilters.exposureFilters;
+        const visibilities = ['public', 'internal', 'private'].filter(visibility => exposure[visibility]);
+        if (visibilities.length > 0) {
+            filtered = filtered.filter(r => visibilities.includes(r.visibility));
+        }
+        if (exposure.fork) {
+            filtered = filtered.filter(r => r.fork === true);
+        }
+        if (exposure.template) {
+            filtered = filtered.filter(r => r.isTemplate === true);
+        }
+
         // Top attributes filters
         if (this.activeFilters.topAttributes.languages.length > 0) {
             filtered = filtered.filter(r => 
@@ -748,6 +818,9 @@ class RepositoryTracker {
         }
 
         this.filteredRepos = filtered;
+        this.advisoryResults = advisoryQuery && this.advisoryLookup.loaded
+            ? this.advisoryLookup.find(advisoryQuery, filtered)
+            : null;
         
         // Apply sorting
         if (this.currentSort.column) {
@@ -759,6 +832,133 @@ class RepositoryTracker {
         this.updateURL();
     }
 
+    getAdvisoryQuery() {
+        return this.advisoryLookup ? AdvisoryLookup.parseQuery(this.activeFilters.search) : null;
+    }
+
+    loadAdvisoryLookup() {
+        if (!this.advisoryLookupLoading) {
+            this.advisoryLookupLoading = this.advisoryLookup.load().then(() => {
+                if (this.getAdvisoryQuery()) {
+                    this.applyFilters();
+                    this.render();
+                }
+            });
+        }
+        return this.advisoryLookupLoading;
+    }
+
+    // Affected repositories for a CVE/GHSA/CWE/package search, with pods, managers and alert state
+    renderAdvisoryResults() {
+        const panel = this.getElement('advisoryResults');
+        if (!panel) return;
+
+        const query = this.getAdvisoryQuery();
+        if (!query) {
+            panel.classList.add('d-none');
+            return;
+        }
+        panel.classList.remove('d-none');
+
+        const title = `<strong><i class="cil-shield-alt"></i> Repositories affected by ${this.escapeHtml(query.type === 'package' ? `package ${query.value}` : query.value)}</strong>`;
+        if (!this.advisoryLookup.loaded) {
+            panel.innerHTML = `<div class="card mb-3"><div class="card-header">${title}</div><div class="card-body text-muted">Loading alert data...</div></div>`;
+            return;
+        }
+        if (!this.advisoryLookup.source) {
+            panel.innerHTML = `<div class="card mb-3"><div class="card-header">${title}</div><div class="card-body">
+                <div class="alert alert-warning mb-0">No alert data to search. Run the sync with <code>--alert-details</code> to write data/alerts.json.</div>
+            </div></div>`;
+            return;
+        }
+
+        const results = this.advisoryResults || [];
+        const stateBadges = { open: 'bg-danger', fixed: 'bg-success', dismissed: 'bg-secondary' };
+        const severityBadges = { critical: 'bg-danger', high: 'bg-warning text-dark', medium: 'bg-info', low: 'bg-secondary' };
+        const rows = results.map(result => {
+            const repo = result.repo;
+            const pods = Array.isArray(repo._allPods) && repo._allPods.length > 0 ? repo._allPods : (repo.pod ? [repo.pod] : []);
+            const managers = Array.isArray(repo._allManagers) && repo._allManagers.length > 0 ? repo._allManagers : (repo.engineeringManager ? [repo.engineeringManager] : []);
+            const states = ['open', 'fixed', 'dismissed']
+                .filter(state => result[state] > 0)
+                .map(state => `<span class="badge ${stateBadges[state]}">${result[state]} ${state}</span>`)
+                .join(' ');
+            const links = result.alerts
+                .filter(alert => alert.htmlUrl)
+                .map(alert => `<a href="${this.escapeHtml(alert.htmlUrl)}" target="_blank" rel="noopener noreferrer">#${alert.number}</a>`)
+                .join(' ');
+
+            return `
+                <tr>
+                    <td><a href="${this.escapeHtml(repo.githubUrl)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(repo.organization)}/<strong>${this.escapeHtml(repo.repository)}</strong></a></td>
+                    <td>${pods.map(pod => `<a href="pod.html?name=${encodeURIComponent(pod)}">${this.escapeHtml(pod)}</a>`).join(', ') || '<span class="text-muted">—</span>'}</td>
+                    <td>${managers.map(manager => `<a href="manager.html?name=${encodeURIComponent(manager)}">${this.escapeHtml(manager)}</a>`).join(', ') || '<span class="text-muted">—</span>'}</td>
+                    <td>${states}</td>
+                    <td>${result.severity ? `<span class="badge ${severityBadges[result.severity] || 'bg-secondary'}">${result.severity}</span>` : '<span class="text-muted">—</span>'}</td>
+                    <td><small>${this.escapeHtml([...result.packages, ...result.advisories].join(', '))}</small></td>
+                    <td><small>${links}</small></td>
+                </tr>
+            `;
+        }).join('');
+
+        const openRepos = results.filter(result => result.open > 0).length;
+        const note = this.advisoryLookup.source === 'packages'
+            ? '<small class="text-muted d-block mt-2">Open Dependabot alerts from data/packages.json. Run the sync with <code>--alert-details</code> for code scanning, CWEs and fixed or dismissed alerts.</small>'
+            : '';
+        panel.innerHTML = `
+            <div class="card mb-3">
+                <div class="card-header d-flex justify-content-between align-items-center">
+                    ${title}
+                    <div class="d-flex align-items-center gap-2">
+                        <span class="badge bg-danger">${openRepos} open</span>
+                        <span class="badge bg-secondary">${results.length} ${results.length === 1 ? 'repository' : 'repositories'}</span>
+                        <button type="button" class="btn btn-sm btn-outline-primary" onclick="tracker.exportAdvisoryCSV()" ${results.length === 0 ? 'disabled' : ''}>
+                            <i class="cil-save"></i> Export CSV
+                        </button>
+                    </div>
+                </div>
+                <div class="card-body">
+                    ${results.length === 0 ? '<p class="text-muted mb-0">No repositories have alerts for it.</p>' : `
+                    <div class="table-responsive" style="max-height: 420px; overflow-y: auto;">
+                        <table class="table table-sm table-hover mb-0">
+                            <thead>
+                                <tr>
+                                    <th>Repository</th>
+                                    <th>Pods</th>
+                                    <th>Managers</th>
+                                    <th>Alert State</th>
+                                    <th>Severity</th>
+                                    <th>Packages / Advisories</th>
+                                    <th>Alerts</th>
+                                </tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>`}
+                    ${note}
+                </div>
+            </div>
+        `;
+    }
+
+    exportAdvisoryCSV() {
+        const query = this.getAdvisoryQuery();
+        if (!query || !this.advisoryResults || this.advisoryResults.length === 0) {
+            this.showToast('No data', 'No affected repositories to export', 'warning');
+            return;
+        }
+
+        const csv = this.advisoryLookup.toCSV(query, this.advisoryResults);
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `affected_${query.value.replace(/[^a-z0-9.-]+/gi, '_')}_${new Date().toISOString().split('T')[0]}.csv`;
+        a.click();
+        URL.revokeObjectURL(url);
+        this.showToast('Export successful', `${this.advisoryResults.length} affected repositories exported as CSV`, 'success');
+    }
+
     sort(column, direction = null, skipRender = false) {
         if (!direction) {
             // Toggle direction
@@ -815,6 +1015,13 @@ class RepositoryTracker {
                 return (aAge - bAge) * multiplier;
             }
             
+            // Handle branch protection sorting (compliance score; repos not evaluated sort lowest)
+            if (column === 'compliance') {
+                const aScore = a.compliance && a.compliance.score !== null ? a.compliance.score : -1;
+                const bScore = b.compliance && b.compliance.score !== null ? b.compliance.score : -1;
+                return (aScore - bScore) * multiplier;
+            }
+
             // Handle risk score sorting
             if (column === 'riskScore') {
                 const aScore = this.calculateRiskScore(a);
@@ -840,6 +1047,7 @@ class RepositoryTracker {
         const groupedContainer = this.getElement('groupedContainer');
 
         if (loadingSpinner) loadingSpinner.classList.add('d-none');
+        this.renderAdvisoryResults();
 
         if (this.filteredRepos.length === 0) {
             if (emptyState) emptyState.classList.remove('d-none');
@@ -904,13 +1112,38 @@ class RepositoryTracker {
             : (repo.pod && repo.pod !== 'No Pod Selected' ? [repo.pod] : []);
         
         if (podsToShow.length === 0) {
-            return '<span class="badge bg-secondary badge-custom" style="opacity: 0.7;"><i class="cil-ban" aria-hidden="true"></i> No Pod Selected</span>';
+            return '<span class="badge bg-secondary badge-custom" style="opacity: 0.7;"><i class="cil-ban" aria-hidden="true"></i> No Pod Selected</span>' + this.renderCodeownersInfo(repo);
         }
         
+        // Which ownership rule the sync resolved the pod with (see data/ownership-rules.json)
+        const ruleTitle = repo.podRule ? ` title="Pod from rule: ${this.escapeHtml(repo.podRule).replace(/"/g, '&quot;')}"` : '';
+
         // Render all pods on a single line with spacing
         return podsToShow.map(pod => 
-            `<span class="badge bg-primary badge-custom"><i class="cil-layers" aria-hidden="true"></i> ${this.escapeHtml(pod)}</span>`
-        ).join(' ');
+            `<span class="badge bg-primary badge-custom"${ruleTitle}><i class="cil-layers" aria-hidden="true"></i> ${this.escapeHtml(pod)}</span>`
+        ).join(' ') + this.renderCodeownersInfo(repo);
+    }
+
+    renderCodeownersInfo(repo) {
+        // Default owners and broken entries parsed from CODEOWNERS by the sync
+        const owners = Array.isArray(repo.defaultOwners) ? repo.defaultOwners : [];
+        const issues = Array.isArray(repo.codeownersIssues) ? repo.codeownersIssues : [];
+        if (owners.length === 0 && issues.length === 0) return '';
+
+        const problemLabels = { missing: 'team does not exist', empty: 'team has no members', invalid: 'not a valid owner' };
+        const issueTitle = issues
+            .map(issue => `${repo.codeownersPath || 'CODEOWNERS'}:${issue.line} ${issue.owner} (${problemLabels[issue.problem] || issue.problem})`)
+            .join(' | ');
+        const pathTitle = (repo.pathOwners || [])
+            .map(rule => `${rule.pattern} → ${rule.owners.join(' ') || 'no owners'}`)
+            .join(' | ');
+
+        return `
+            <small class="text-muted d-block mt-1"${pathTitle ? ` title="${this.escapeHtml(pathTitle).replace(/"/g, '&quot;')}"` : ''}>
+                ${owners.length > 0 ? `owned by ${owners.map(owner => this.escapeHtml(owner)).join(', ')}` : 'no default owners'}
+                ${issues.length > 0 ? `<span class="badge bg-warning text-dark ms-1" title="${this.escapeHtml(issueTitle).replace(/"/g, '&quot;')}"><i class="cil-warning"></i> ${issues.length} CODEOWNERS ${issues.length === 1 ? 'issue' : 'issues'}</span>` : ''}
+            </small>
+        `;
     }
 
     renderVerticalsCell(repo) {
@@ -977,12 +1210,33 @@ class RepositoryTracker {
             ageMultiplier = Math.min(ageMultiplier, 3.0); // Cap at 3x
         }
         
-        // Exposure: public repos get 1.2x multiplier (if we had this data)
-        // For now, we'll skip this as we don't track visibility
+        // Exposure multiplier: visibility, fork and template flags recorded by the sync
+        const exposureMultiplier = this.getExposureMultiplier(repo);
         
-        const finalScore = Math.round(baseScore * ageMultiplier);
+        const finalScore = Math.round(baseScore * ageMultiplier * exposureMultiplier);
         return finalScore;
     }
+
+    getExposureMultiplier(repo) {
+        // Repos synced before visibility was recorded count as private (1.0x)
+        let multiplier = this.exposureMultipliers[repo.visibility] || 1.0;
+        if (repo.fork) multiplier *= this.exposureMultipliers.fork;
+        if (repo.isTemplate) multiplier *= this.exposureMultipliers.template;
+        return multiplier;
+    }
+
+    renderVisibilityCell(repo) {
+        if (!repo.visibility) return '<span class="text-muted">—</span>';
+
+        const badgeClasses = { public: 'bg-danger', internal: 'bg-warning text-dark', private: 'bg-secondary' };
+        const icons = { public: 'cil-globe-alt', internal: 'cil-building', private: 'cil-lock-locked' };
+        const flags = [
+            repo.fork ? '<span class="badge bg-light text-dark badge-custom ms-1" title="Fork">fork</span>' : '',
+            repo.isTemplate ? '<span class="badge bg-light text-dark badge-custom ms-1" title="Template repository">template</span>' : ''
+        ].join('');
+
+        return `<span class="badge ${badgeClasses[repo.visibility] || 'bg-secondary'} badge-custom" title="Risk score exposure ×${this.getExposureMultiplier(repo).toFixed(2)}"><i class="${icons[repo.visibility] || 'cil-lock-locked'}" aria-hidden="true"></i> ${this.escapeHtml(repo.visibility)}</span>${flags}`;
+    }
     
     calculateAverageAge(repo) {
         const vulns = repo.vulnerabilities;
@@ -1040,7 +1294,7 @@ class RepositoryTracker {
             icon = 'cil-info';
         }
         
-        return `<span class="badge ${badgeClass} badge-custom" title="Risk Score (severity × age)"><i class="${icon}" aria-hidden="true"></i> ${riskScore}</span>`;
+        return `<span class="badge ${badgeClass} badge-custom" title="Risk Score (severity × age × exposure)"><i class="${icon}" aria-hidden="true"></i> ${riskScore}</span>`;
     }
 
     renderSecurityCell(repo) {
@@ -1118,6 +1372,8 @@ class RepositoryTracker {
                     <a href="${repo.githubUrl || '#'}" target="_blank" class="repo-link" rel="noopener noreferrer">
                         <i class="cil-code"></i> <strong>${this.escapeHtml(repo.repository)}</strong>
                     </a>
+                    ${this.renderStaleBadge(repo)}
+                    ${this.renderArchivedBadge(repo)}
                     ${description}
                 </td>
                 <td class="align-middle">
@@ -1131,9 +1387,13 @@ class RepositoryTracker {
                 </td>
                 <td class="align-middle">${this.formatLastActivity(repo.lastActivity)}</td>
                 <td class="align-middle">${languageBadge || '<span class="text-muted">—</span>'}</td>
+                <td class="align-middle">${this.renderVisibilityCell(repo)}</td>
                 <td class="align-middle">
                     ${this.renderSecurityCell(repo)}
                 </td>
+                <td class="align-middle">
+                    ${this.renderComplianceCell(repo)}
+                </td>
                 <td class="align-middle">
                     ${this.renderAgeCell(repo)}
                 </td>
@@ -1144,6 +1404,81 @@ class RepositoryTracker {
         `;
     }
 
+    renderComplianceCell(repo) {
+        const compliance = repo.compliance;
+        if (!compliance) return '<span class="text-muted">—</span>';
+
+        const checkLabels = {
+            requiredReviews: 'required reviews',
+            statusChecks: 'status checks',
+            signedCommits: 'signed commits',
+            forcePushBlocked: 'force-push block',
+            deletionBlocked: 'deletion block'
+        };
+        const branch = repo.branchProtection ? repo.branchProtection.branch : 'default branch';
+
+        if (compliance.status === 'unknown') {
+            return `<span class="badge bg-secondary badge-custom" title="Branch protection on ${this.escapeHtml(branch)} could not be fully read">unknown</span>`;
+        }
+
+        const missing = (compliance.failedChecks || []).map(check => checkLabels[check] || check);
+        const title = missing.length > 0
+            ? `${branch}: missing ${missing.join(', ')}`
+            : `${branch}: all branch protection requirements met`;
+        const badgeClass = compliance.status === 'compliant' ? 'bg-success' : (compliance.score >= 60 ? 'bg-warning text-dark' : 'bg-danger');
+        const icon = compliance.status === 'compliant' ? 'cil-lock-locked' : 'cil-lock-unlocked';
+
+        return `<span class="badge ${badgeClass} badge-custom" title="${this.escapeHtml(title).replace(/"/g, '&quot;')}"><i class="${icon}" aria-hidden="true"></i> ${compliance.score}%</span>`;
+    }
+
+    renderStaleBadge(repo) {
+        // Set by the sync when enrichment failed and the previous record was kept
+        if (!repo.stale) return '';
+
+        const lastSynced = repo.lastSyncedAt ? this.formatDate(repo.lastSyncedAt) : 'unknown';
+        const title = `Last successful sync: ${lastSynced}${repo.syncError ? ` | Error: ${repo.syncError}` : ''}`;
+        return `
+            <span class="badge bg-warning text-dark badge-custom ms-1" title="${this.escapeHtml(title).replace(/"/g, '&quot;')}" data-bs-toggle="tooltip" data-bs-placement="top">
+                <i class="cil-warning"></i> data stale
+            </span>
+        `;
+    }
+
+    renderArchivedBadge(repo) {
+        if (repo.status !== 'archived') return '';
+
+        const archivedOn = repo.archivedAt ? this.formatDate(repo.archivedAt) : 'unknown date';
+        const title = `Archived ${archivedOn}. Security counts are the final snapshot taken when it was archived.`;
+        return `
+            <span class="badge bg-dark badge-custom ms-1" title="${this.escapeHtml(title).replace(/"/g, '&quot;')}" data-bs-toggle="tooltip" data-bs-placement="top">
+                <i class="cil-inbox"></i> archived ${repo.archivedAt ? this.escapeHtml(archivedOn) : ''}
+            </span>
+        `;
+    }
+
+    setArchivedView(archived) {
+        if (this.activeFilters.archived === archived) return;
+        this.activeFilters.archived = archived;
+        this.currentPage = 1;
+        this.applyFilters();
+        this.render();
+        this.updateFilterChips();
+        this.updateURL();
+    }
+
+    updateArchiveTabs() {
+        const activeTab = document.getElementById('activeReposTab');
+        const archivedTab = document.getElementById('archivedReposTab');
+        if (!activeTab || !archivedTab) return;
+
+        activeTab.classList.toggle('active', !this.activeFilters.archived);
+        archivedTab.classList.toggle('active', this.activeFilters.archived);
+        const activeCount = document.getElementById('activeReposCount');
+        const archivedCount = document.getElementById('archivedReposCount');
+        if (activeCount) activeCount.textContent = this.allRepos.length;
+        if (archivedCount) archivedCount.textContent = this.archivedRepos.length;
+    }
+
     renderGroupedView() {
         const groupedContainer = this.getElement('groupedContainer');
         const tableContainer = this.getElement('tableContainer');
@@ -1198,6 +1533,8 @@ class RepositoryTracker {
                                                 <a href="${repo.githubUrl}" target="_blank">
                                                     ${this.escapeHtml(repo.repository)}
                                                 </a>
+                                                ${this.renderStaleBadge(repo)}
+                                                ${this.renderArchivedBadge(repo)}
                                                 ${repo.description ? `<small class="text-muted d-block">${this.escapeHtml(repo.description)}</small>` : ''}
                                             </td>
                                             <td>${this.renderPodsCell(repo)}</td>
@@ -1296,6 +1633,16 @@ class RepositoryTracker {
             });
         }
 
+        // Archived tab
+        if (this.activeFilters.archived) {
+            chips.push({
+                type: 'archived',
+                label: 'Status',
+                value: 'Archived repositories',
+                remove: () => this.setArchivedView(false)
+            });
+        }
+
         // No Pod filter
         if (this.activeFilters.noPod) {
             chips.push({
@@ -1491,6 +1838,19 @@ class RepositoryTracker {
                 }
             });
         }
+        if (this.activeFilters.healthFilters.nonCompliant) {
+            chips.push({
+                type: 'health',
+                label: 'Health',
+                value: 'Branch Protection Gaps',
+                remove: () => {
+                    this.activeFilters.healthFilters.nonCompliant = false;
+                    this.updateAdvancedFiltersUI();
+                    this.applyFilters();
+                    this.render();
+                }
+            });
+        }
 
         // Top attributes filters
         this.activeFilters.topAttributes.languages.forEach(lang => {
@@ -1571,7 +1931,8 @@ class RepositoryTracker {
             'vertical': 'verticals',
             'manager': 'managers',
             'status': 'status',
-            'noPod': 'noPod'
+            'noPod': 'noPod',
+            'archived': 'archived'
         };
 
         const filterKey = typeMap[type];
@@ -1585,6 +1946,9 @@ class RepositoryTracker {
             this.activeFilters.noPod = false;
             const filterNoPod = document.getElementById('filterNoPod');
             if (filterNoPod) filterNoPod.checked = false;
+        } else if (type === 'archived') {
+            this.setArchivedView(false);
+            return;
         } else {
             const array = this.activeFilters[filterKey];
             if (array && array.length > index) {
@@ -1625,6 +1989,7 @@ class RepositoryTracker {
             managers: [],
             search: '',
             noPod: false,
+            archived: false,
             timeFilters: {
                 recent7Days: false,
                 recent14Days: false,
@@ -1639,7 +2004,8 @@ class RepositoryTracker {
                 missingManager: false,
                 noActivityDate: false,
                 missingLanguage: false,
-                multiplePods: false
+                multiplePods: false,
+                nonCompliant: false
             },
             securityFilters: {
                 critical: false,
@@ -1650,6 +2016,13 @@ class RepositoryTracker {
                 secrets: false,
                 secure: false
             },
+            exposureFilters: {
+                public: false,
+                internal: false,
+                private: false,
+                fork: false,
+                template: false
+            },
             topAttributes: {
                 languages: [],
                 pods: [],
@@ -1804,6 +2177,9 @@ class RepositoryTracker {
         document.getElementById('filterNoActivityDate').checked = this.activeFilters.healthFilters.noActivityDate;
         document.getElementById('filterMissingLanguage').checked = this.activeFilters.healthFilters.missingLanguage;
         document.getElementById('filterMultiplePods').checked = this.activeFilters.healthFilters.multiplePods;
+        if (document.getElementById('filterNonCompliant')) {
+            document.getElementById('filterNonCompliant').checked = this.activeFilters.healthFilters.nonCompliant;
+        }
         
         // Update security filter checkboxes
         if (document.getElementById('filterCriticalSecurity')) {
@@ -1827,6 +2203,19 @@ class RepositoryTracker {
         if (document.getElementById('filterSecure')) {
             document.getElementById('filterSecure').checked = this.activeFilters.securityFilters.secure;
         }
+
+        // Update exposure filter checkboxes
+        const exposureIds = {
+            public: 'filterVisibilityPublic',
+            internal: 'filterVisibilityInternal',
+            private: 'filterVisibilityPrivate',
+            fork: 'filterFork',
+            template: 'filterTemplate'
+        };
+        Object.entries(exposureIds).forEach(([key, id]) => {
+            const el = document.getElementById(id);
+            if (el) el.checked = this.activeFilters.exposureFilters[key] || false;
+        });
     }
 
     toggleTimeFilter(filterName) {
@@ -1841,6 +2230,10 @@ class RepositoryTracker {
         this.activeFilters.securityFilters[filterName] = !this.activeFilters.securityFilters[filterName];
     }
 
+    toggleExposureFilter(filterName) {
+        this.activeFilters.exposureFilters[filterName] = !this.activeFilters.exposureFilters[filterName];
+    }
+
     toggleTopAttribute(type, value) {
         const index = this.activeFilters.topAttributes[type].indexOf(value);
         if (index > -1) {
@@ -1878,7 +2271,8 @@ class RepositoryTracker {
             missingManager: false,
             noActivityDate: false,
             missingLanguage: false,
-            multiplePods: false
+            multiplePods: false,
+            nonCompliant: false
         };
         this.activeFilters.securityFilters = {
             critical: false,
@@ -1889,6 +2283,13 @@ class RepositoryTracker {
             secrets: false,
             secure: false
         };
+        this.activeFilters.exposureFilters = {
+            public: false,
+            internal: false,
+            private: false,
+            fork: false,
+            template: false
+        };
         this.activeFilters.topAttributes = {
             languages: [],
             pods: [],
@@ -1930,6 +2331,10 @@ class RepositoryTracker {
             case 'exposedSecrets':
                 this.activeFilters.securityFilters.secrets = true;
                 break;
+            case 'publicSecrets':
+                this.activeFilters.exposureFilters.public = true;
+                this.activeFilters.securityFilters.secrets = true;
+                break;
         }
         
         this.updateAdvancedFiltersUI();
@@ -1954,6 +2359,11 @@ class RepositoryTracker {
             if (val) count++;
         });
 
+        // Count exposure filters
+        Object.values(this.activeFilters.exposureFilters).forEach(val => {
+            if (val) count++;
+        });
+
         // Count top attributes
         count += this.activeFilters.topAttributes.languages.length;
         count += this.activeFilters.topAttributes.pods.length;
@@ -1984,7 +2394,7 @@ class RepositoryTracker {
     }
 
     exportCSV() {
-        const headers = ['Organization', 'Repository', 'Pod', 'Vertical', 'Engineering Manager', 'Language', 'Description', 'Last Activity', 'Security Issues', 'SAST Total', 'SAST Critical', 'SAST High', 'SAST Medium', 'SAST Low', 'SAST Info', 'SCA Total', 'SCA Critical', 'SCA High', 'SCA Medium', 'SCA Low', 'SCA Info', 'Secrets Total', 'Avg Age (Days)', 'Risk Score', 'MTTR (Days)', 'GitHub URL'];
+        const headers = ['Organization', 'Repository', 'Pod', 'Vertical', 'Engineering Manager', 'Language', 'Visibility', 'Branch Protection', 'Description', 'Last Activity', 'Security Issues', 'SAST Total', 'SAST Critical', 'SAST High', 'SAST Medium', 'SAST Low', 'SAST Info', 'SCA Total', 'SCA Critical', 'SCA High', 'SCA Medium', 'SCA Low', 'SCA Info', 'Secrets Total', 'Avg Age (Days)', 'Risk Score', 'MTTR (Days)', 'GitHub URL'];
         const rows = [headers.join(',')];
 
         this.filteredRepos.forEach(repo => {
@@ -2012,6 +2422,8 @@ class RepositoryTracker {
                     allVerticals,
                     allManagers,
                     repo.language || '',
+                    repo.visibility || '',
+                    repo.compliance ? repo.compliance.status : '',
                     (repo.description || '').replace(/"/g, '""'),
                     repo.lastActivity || '',
                     '0',
@@ -2051,6 +2463,8 @@ class RepositoryTracker {
                 allVerticals,
                 allManagers,
                 repo.language || '',
+                repo.visibility || '',
+                repo.compliance ? repo.compliance.status : '',
                 (repo.description || '').replace(/"/g, '""'),
                 repo.lastActivity || '',
                 totalIssues > 0 ? `${totalCritical}C/${totalHigh}H/${totalIssues} total` : '0',
@@ -2218,6 +2632,7 @@ class RepositoryTracker {
         }
         if (this.currentPage > 1) params.set('page', this.currentPage);
         if (this.viewMode !== 'table') params.set('view', this.viewMode);
+        if (this.activeFilters.archived) params.set('status', 'archived');
 
         const newURL = window.location.pathname + (params.toString() ? '?' + params.toString() : '');
         window.history.replaceState({}, '', newURL);
@@ -2244,6 +2659,9 @@ class RepositoryTracker {
         if (params.get('page')) {
             this.currentPage = parseInt(params.get('page'));
         }
+        if (params.get('status') === 'archived') {
+            this.activeFilters.archived = true;
+        }
         if (params.get('view')) {
             const viewParam = params.get('view');
             // Only allow 'table' or 'grouped' view modes
@@ -2409,6 +2827,8 @@ class RepositoryTracker {
                 <small class="text-muted">
                     <i class="cil-info"></i> Last updated: ${this.formatDate(date.toISOString())} 
                     ${metadata.version ? `| Version: ${metadata.version}` : ''}
+                    ${metadata.stale ? `| <span class="text-warning">${metadata.stale} repos with stale data</span>` : ''}
+                    ${metadata.archived ? `| ${metadata.archived} archived` : ''}
                 </small>
             `;
         }
@@ -2451,6 +2871,18 @@ class RepositoryTracker {
         const suggestions = [];
         const seen = new Set();
 
+        // CVE/GHSA/CWE ids and vulnerable packages search the alert data
+        if (this.advisoryLookup) {
+            AdvisoryLookup.getQuickLookupMatches(query).forEach(match => {
+                suggestions.push({
+                    type: 'Advisory',
+                    text: match.display,
+                    value: match.name,
+                    icon: match.icon
+                });
+            });
+        }
+
         // Search repositories, organizations, pods, verticals, managers
         this.allRepos.forEach(repo => {
             // Repository names
@@ -0,0 +1,119 @@
+// JSON Schema Validator
+// Dependency-free validator for the draft-07 subset used by data/repository-schema.json.
+// Shared by the sync (before it writes the data file), `npm run validate` and the tracker's validateData.
+//
+// Supported keywords: type, enum, required, properties, additionalProperties, items, minimum,
+// maximum, minLength, pattern, format (date, date-time, uri), anyOf and local $ref (#/definitions/...).
+
+const SCHEMA_FORMATS = {
+    'date': value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+    'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !isNaN(Date.parse(value)),
+    'uri': value => /^[a-z][a-z0-9+.-]*:\S+$/i.test(value)
+};
+
+/**
+ * Validate data against a schema
+ *
+ * @param {Object} schema - root schema (resolves $ref against its definitions)
+ * @param {*} data - value to validate
+ * @param {Object} options - { maxErrors } (default 50; validation stops once reached)
+ * @returns {Array<string>} violations as "path: message" (empty when valid)
+ */
+function validateAgainstSchema(schema, data, options = {}) {
+    const maxErrors = options.maxErrors || 50;
+    const errors = [];
+
+    const typeOf = value => {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    };
+
+    const matchesType = (value, type) => {
+        if (type === 'integer') return Number.isInteger(value);
+        if (type === 'number') return typeof value === 'number' && isFinite(value);
+        return typeOf(value) === type;
+    };
+
+    const resolve = node => {
+        if (!node || !node.$ref) return node;
+        const match = /^#\/definitions\/(.+)$/.exec(node.$ref);
+        if (!match || !schema.definitions || !schema.definitions[match[1]]) {
+            throw new Error(`Unsupported or unknown $ref "${node.$ref}"`);
+        }
+        return schema.definitions[match[1]];
+    };
+
+    const visit = (node, value, path, sink) => {
+        if (sink.length >= maxErrors) return;
+        node = resolve(node);
+        if (!node || node === true) return;
+
+        if (node.anyOf) {
+            const matched = node.anyOf.some(option => {
+                const optionErrors = [];
+                visit(option, value, path, optionErrors);
+                return optionErrors.length === 0;
+            });
+            if (!matched) sink.push(`${path}: does not match any allowed shape`);
+            return;
+        }
+
+        if (node.type) {
+            const types = Array.isArray(node.type) ? node.type : [node.type];
+            if (!types.some(type => matchesType(value, type))) {
+                sink.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+                return;
+            }
+        }
+
+        if (node.enum && !node.enum.some(allowed => allowed === value)) {
+            sink.push(`${path}: ${JSON.stringify(value)} is not one of ${node.enum.map(v => JSON.stringify(v)).join(', ')}`);
+        }
+
+        if (typeof value === 'number') {
+            if (node.minimum !== undefined && value < node.minimum) sink.push(`${path}: ${value} is below the minimum ${node.minimum}`);
+            if (node.maximum !== undefined && value > node.maximum) sink.push(`${path}: ${value} is above the maximum ${node.maximum}`);
+        }
+
+        if (typeof value === 'string') {
+            if (node.minLength !== undefined && value.length < node.minLength) {
+                sink.push(`${path}: shorter than ${node.minLength} character(s)`);
+            }
+            if (node.pattern && !new RegExp(node.pattern).test(value)) {
+                sink.push(`${path}: does not match ${node.pattern}`);
+            }
+            if (node.format && SCHEMA_FORMATS[node.format] && !SCHEMA_FORMATS[node.format](value)) {
+                sink.push(`${path}: ${JSON.stringify(value)} is not a valid ${node.format}`);
+            }
+        }
+
+        if (Array.isArray(value) && node.items) {
+            value.forEach((item, index) => visit(node.items, item, `${path}[${index}]`, sink));
+        }
+
+        if (typeOf(value) === 'object') {
+            (node.required || []).forEach(key => {
+                if (!(key in value)) sink.push(`${path}: missing required property "${key}"`);
+            });
+            Object.keys(value).forEach(key => {
+                const childPath = `${path}.${key}`;
+                if (node.properties && key in node.properties) {
+                    visit(node.properties[key], value[key], childPath, sink);
+                } else if (node.additionalProperties === false) {
+                    sink.push(`${childPath}: unexpected property`);
+                } else if (node.additionalProperties && typeof node.additionalProperties === 'object') {
+                    visit(node.additionalProperties, value[key], childPath, sink);
+                }
+            });
+        }
+    };
+
+    visit(schema, data, '$', errors);
+    return errors.slice(0, maxErrors);
+}
+
+// Export for the Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { validateAgainstSchema };
+}
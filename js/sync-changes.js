@@ -0,0 +1,117 @@
+// Sync Changes Panel
+// Loads the change report written by `sync-github-data.js` (data/sync-changes.json) and shows
+// what changed since the previous sync: added/removed repos, ownership moves, new alerts and secrets.
+
+class SyncChanges {
+    constructor(panelId) {
+        this.panelId = panelId;
+        this.report = null;
+    }
+
+    // Returns false when the report doesn't exist (no sync has written one yet)
+    async load() {
+        try {
+            const response = await fetch('data/sync-changes.json');
+            if (!response.ok) return false;
+            this.report = await response.json();
+        } catch (error) {
+            console.warn('Sync change report not available:', error);
+            this.report = null;
+        }
+        return this.report !== null;
+    }
+
+    render() {
+        const panel = document.getElementById(this.panelId);
+        if (!panel || !this.report) return;
+
+        const report = this.report;
+        const metadata = report.metadata || {};
+        const summary = metadata.summary || {};
+        const total = Object.values(summary).reduce((sum, count) => sum + count, 0);
+        const since = metadata.previousSync ? new Date(metadata.previousSync).toLocaleString() : 'the previous sync';
+
+        const name = entry => `<strong>${this.escapeHtml(entry.organization)}/${this.escapeHtml(entry.repository)}</strong>`;
+        const sections = [
+            {
+                title: 'Added',
+                icon: 'cil-plus',
+                badge: 'bg-success',
+                entries: report.added || [],
+                format: entry => `${name(entry)} <small class="text-muted">${this.escapeHtml(entry.pod || '')}</small>`
+            },
+            {
+                title: 'Removed',
+                icon: 'cil-minus',
+                badge: 'bg-secondary',
+                entries: report.removed || [],
+                format: entry => `${name(entry)} <small class="text-muted">${this.escapeHtml(entry.pod || '')}</small>`
+            },
+            {
+                title: 'Ownership Changes',
+                icon: 'cil-people',
+                badge: 'bg-info',
+                entries: report.ownershipChanges || [],
+                format: entry => `${name(entry)} <small class="text-muted">${this.escapeHtml(entry.field)}: ${this.escapeHtml(entry.from || '—')} → ${this.escapeHtml(entry.to || '—')}</small>`
+            },
+            {
+                title: 'New Critical/High Alerts',
+                icon: 'cil-warning',
+                badge: 'bg-danger',
+                entries: report.newAlerts || [],
+                format: entry => `${name(entry)} <small class="text-muted">+${entry.critical} critical, +${entry.high} high</small>` +
+                    (entry.alerts || []).map(alert => `<small class="d-block ms-2">${alert.htmlUrl
+                        ? `<a href="${this.escapeHtml(alert.htmlUrl)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(alert.title)}</a>`
+                        : this.escapeHtml(alert.title)} <span class="text-muted">(${this.escapeHtml(alert.severity)})</span></small>`).join('')
+            },
+            {
+                title: 'Newly Leaked Secrets',
+                icon: 'cil-lock-unlocked',
+                badge: 'bg-danger',
+                entries: report.newSecrets || [],
+                format: entry => `${name(entry)} <small class="text-muted">${entry.from} → ${entry.to} open${(entry.secretTypes || []).length > 0 ? ` (${this.escapeHtml(entry.secretTypes.join(', '))})` : ''}</small>`
+            },
+            {
+                title: 'Risk Score Jumps',
+                icon: 'cil-chart-line',
+                badge: 'bg-warning text-dark',
+                entries: report.riskScoreJumps || [],
+                format: entry => `${name(entry)} <small class="text-muted">${entry.from} → ${entry.to}</small>`
+            }
+        ];
+
+        let body;
+        if (metadata.firstSync) {
+            body = '<p class="text-muted mb-0">First sync: there is no earlier data to compare with yet.</p>';
+        } else if (total === 0) {
+            body = '<p class="text-muted mb-0">No changes since the previous sync.</p>';
+        } else {
+            body = `<div class="row g-3">${sections.filter(section => section.entries.length > 0).map(section => `
+                <div class="col-md-6 col-lg-4">
+                    <h6 class="fw-semibold"><i class="${section.icon}"></i> ${section.title} <span class="badge ${section.badge}">${section.entries.length}</span></h6>
+                    <ul class="list-unstyled small mb-0" style="max-height: 220px; overflow-y: auto;">
+                        ${section.entries.map(entry => `<li class="mb-1">${section.format(entry)}</li>`).join('')}
+                    </ul>
+                </div>
+            `).join('')}</div>`;
+        }
+
+        panel.innerHTML = `
+            <div class="card mb-4">
+                <div class="card-header d-flex justify-content-between align-items-center">
+                    <strong><i class="cil-history"></i> What Changed Since Last Sync</strong>
+                    <small class="text-muted">${metadata.firstSync ? '' : `since ${this.escapeHtml(since)}`}</small>
+                </div>
+                <div class="card-body">${body}</div>
+            </div>
+        `;
+        panel.classList.remove('d-none');
+    }
+
+    escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
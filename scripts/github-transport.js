@@ -0,0 +1,228 @@
+/**
+ * GitHub API Transport
+ *
+ * Sends HTTP requests for the sync script and can record responses to fixture
+ * files or replay them later, so the sync can be developed and regression-tested
+ * without App credentials or network access.
+ *
+ * Modes (GITHUB_TRANSPORT environment variable):
+ *   live   - Talk to the GitHub API (default)
+ *   record - Talk to the GitHub API and save every response as a fixture
+ *   replay - Answer from fixtures only; requests without a fixture get a 404
+ *   mock   - Talk to a local mock server (scripts/mock-github-server.js)
+ *
+ * Fixtures live in GITHUB_FIXTURES_DIR (default: scripts/fixtures/github), one
+ * JSON file per method + path (including the query string), plus a hash of the
+ * request body for requests that have one (GraphQL queries). GITHUB_API_BASE
+ * overrides the API URL (e.g. a mock server on another port). Fixtures with an
+ * ETag answer a matching If-None-Match with 304, like GitHub does.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const MODES = ['live', 'record', 'replay', 'mock'];
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures/github');
+const MOCK_SERVER_URL = 'http://127.0.0.1:4010';
+
+// Only headers the sync logic reads are kept in fixtures
+const RECORDED_HEADERS = [
+    'content-type',
+    'link',
+    'etag',
+    'last-modified',
+    'retry-after',
+    'x-ratelimit-remaining',
+    'x-ratelimit-reset',
+    'x-ratelimit-resource'
+];
+
+// Authentication endpoints are never recorded (responses contain tokens)
+const UNRECORDED_PATH_PREFIXES = ['/app/'];
+
+/**
+ * Get the fixture file path for a request
+ */
+function getFixturePath(fixturesDir, method, requestPath, body = null) {
+    const key = `${method.toUpperCase()} ${requestPath}`;
+    let name = key.replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^_+|_+$/g, '');
+    if (body) {
+        // Every GraphQL query is a POST to /graphql: tell them apart by body
+        name += `_${crypto.createHash('sha1').update(body).digest('hex').slice(0, 10)}`;
+    }
+    if (name.length > 150) {
+        // Keep long paths unique once truncated
+        const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 10);
+        name = `${name.slice(0, 150)}_${hash}`;
+    }
+    return path.join(fixturesDir, `${name}.json`);
+}
+
+/**
+ * Read a recorded response ({ statusCode, headers, body }) or null if none exists
+ */
+function readFixture(fixturesDir, method, requestPath, requestBody = null) {
+    const file = getFixturePath(fixturesDir, method, requestPath, requestBody);
+    if (!fs.existsSync(file)) return null;
+
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const response = fixture.response || {};
+    const body = response.body === undefined || response.body === null
+        ? ''
+        : (typeof response.body === 'string' ? response.body : JSON.stringify(response.body));
+
+    return {
+        statusCode: response.statusCode || 200,
+        headers: response.headers || {},
+        body: body
+    };
+}
+
+/**
+ * Whether a request's If-None-Match matches a fixture's ETag (answered with 304 Not Modified)
+ */
+function isNotModified(fixture, requestHeaders) {
+    const etag = fixture.headers.etag;
+    if (!etag) return false;
+
+    const headerName = Object.keys(requestHeaders).find(name => name.toLowerCase() === 'if-none-match');
+    return Boolean(headerName) && requestHeaders[headerName] === etag;
+}
+
+/**
+ * Save a response as a fixture
+ */
+function writeFixture(fixturesDir, method, requestPath, response, requestBody = null) {
+    const headers = {};
+    RECORDED_HEADERS.forEach(name => {
+        if (response.headers[name] !== undefined) {
+            headers[name] = response.headers[name];
+        }
+    });
+
+    let body = response.body;
+    try {
+        body = body ? JSON.parse(body) : null;
+    } catch (e) {
+        // Keep non-JSON bodies as text
+    }
+
+    let requestJson = requestBody;
+    try {
+        requestJson = requestBody ? JSON.parse(requestBody) : undefined;
+    } catch (e) {
+        // Keep non-JSON bodies as text
+    }
+
+    const fixture = {
+        request: { method: method.toUpperCase(), path: requestPath, body: requestJson },
+        response: { statusCode: response.statusCode, headers, body },
+        recordedAt: new Date().toISOString()
+    };
+
+    fs.mkdirSync(fixturesDir, { recursive: true });
+    fs.writeFileSync(getFixturePath(fixturesDir, method, requestPath, requestBody), JSON.stringify(fixture, null, 2));
+}
+
+/**
+ * Perform an HTTP(S) request and buffer the response
+ */
+function sendHttpRequest(method, url, headers, body) {
+    const client = url.startsWith('http://') ? http : https;
+
+    return new Promise((resolve, reject) => {
+        const req = client.request(url, { method, headers }, (res) => {
+            let responseBody = '';
+            res.on('data', chunk => responseBody += chunk);
+            res.on('end', () => {
+                resolve({
+                    statusCode: res.statusCode,
+                    headers: res.headers,
+                    body: responseBody
+                });
+            });
+        });
+
+        req.on('error', reject);
+
+        if (body) {
+            req.write(body);
+        }
+
+        req.end();
+    });
+}
+
+/**
+ * Create a transport
+ *
+ * @param {Object} options - { mode, fixturesDir, apiBase } (defaults come from the environment)
+ * @returns {Object} transport with request({ method, path, headers, body, apiBase }) (apiBase overrides the default per request)
+ */
+function createTransport(options = {}) {
+    const mode = options.mode || process.env.GITHUB_TRANSPORT || 'live';
+    if (!MODES.includes(mode)) {
+        throw new Error(`Invalid GITHUB_TRANSPORT "${mode}". Expected one of: ${MODES.join(', ')}`);
+    }
+
+    const fixturesDir = path.resolve(options.fixturesDir || process.env.GITHUB_FIXTURES_DIR || DEFAULT_FIXTURES_DIR);
+    const apiBase = options.apiBase || process.env.GITHUB_API_BASE ||
+        (mode === 'mock' ? MOCK_SERVER_URL : 'https://api.github.com');
+    const stats = { requests: 0, recorded: 0, replayed: 0, missing: 0 };
+
+    async function request({ method, path: requestPath, headers = {}, body = null, apiBase: requestApiBase = null }) {
+        stats.requests++;
+
+        if (mode === 'replay') {
+            const fixture = readFixture(fixturesDir, method, requestPath, body);
+            if (fixture) {
+                stats.replayed++;
+                if (isNotModified(fixture, headers)) {
+                    return { statusCode: 304, headers: fixture.headers, body: '' };
+                }
+                return fixture;
+            }
+            stats.missing++;
+            if (process.env.GITHUB_FIXTURES_STRICT === '1') {
+                throw new Error(`No fixture for ${method} ${requestPath} in ${fixturesDir}`);
+            }
+            return {
+                statusCode: 404,
+                headers: { 'content-type': 'application/json' },
+                body: JSON.stringify({ message: 'Not Found (no fixture recorded)' })
+            };
+        }
+
+        const response = await sendHttpRequest(method, `${requestApiBase || apiBase}${requestPath}`, headers, body);
+
+        if (mode === 'record' && !UNRECORDED_PATH_PREFIXES.some(prefix => requestPath.startsWith(prefix))) {
+            writeFixture(fixturesDir, method, requestPath, response, body);
+            stats.recorded++;
+        }
+
+        return response;
+    }
+
+    return {
+        mode,
+        apiBase,
+        fixturesDir,
+        // No real GitHub behind the transport: skip App authentication and client-side throttling
+        offline: mode === 'replay' || mode === 'mock',
+        stats,
+        request
+    };
+}
+
+module.exports = {
+    createTransport,
+    getFixturePath,
+    readFixture,
+    writeFixture,
+    isNotModified,
+    MOCK_SERVER_URL,
+    DEFAULT_FIXTURES_DIR
+};
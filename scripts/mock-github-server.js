@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Mock GitHub API Server
+ *
+ * Serves recorded fixtures (see scripts/github-transport.js) over HTTP so the
+ * sync can run end to end against a local server, without credentials or network.
+ *
+ * Usage:
+ *   node scripts/mock-github-server.js [--port=4010] [--fixtures=scripts/fixtures/github]
+ *
+ * Then, in another shell:
+ *   GITHUB_TRANSPORT=mock SYNC_DATA_DIR=/tmp/sync-out node scripts/sync-github-data.js --org=example-org
+ *
+ * Requests without a fixture get a 404, like a repository with the feature disabled.
+ */
+
+const http = require('http');
+const { readFixture, isNotModified, DEFAULT_FIXTURES_DIR } = require('./github-transport');
+
+/**
+ * Start the mock server
+ *
+ * @param {Object} options - { port, host, fixturesDir, quiet }
+ * @returns {Promise<http.Server>} listening server (port 0 picks a free port)
+ */
+function startMockServer(options = {}) {
+    const port = options.port !== undefined ? options.port : 4010;
+    const host = options.host || '127.0.0.1';
+    const fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+
+    const server = http.createServer(async (req, res) => {
+        // Request bodies (GraphQL queries) are part of the fixture key
+        let body = '';
+        for await (const chunk of req) {
+            body += chunk;
+        }
+
+        let fixture = null;
+        try {
+            fixture = readFixture(fixturesDir, req.method, req.url, body || null);
+        } catch (error) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: `Invalid fixture: ${error.message}` }));
+            return;
+        }
+
+        const notModified = fixture && isNotModified(fixture, req.headers);
+
+        if (!options.quiet) {
+            console.log(`${fixture ? (notModified ? 304 : fixture.statusCode) : 404} ${req.method} ${req.url}`);
+        }
+
+        if (!fixture) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: 'Not Found (no fixture recorded)' }));
+            return;
+        }
+
+        if (notModified) {
+            res.writeHead(304, fixture.headers);
+            res.end();
+            return;
+        }
+
+        res.writeHead(fixture.statusCode, fixture.headers);
+        res.end(fixture.body);
+    });
+
+    return new Promise((resolve, reject) => {
+        server.on('error', reject);
+        server.listen(port, host, () => resolve(server));
+    });
+}
+
+// CLI handling
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const port = parseInt(args.find(arg => arg.startsWith('--port='))?.split('=')[1] || '4010');
+    const fixturesDir = args.find(arg => arg.startsWith('--fixtures='))?.split('=')[1] || process.env.GITHUB_FIXTURES_DIR;
+
+    startMockServer({ port, fixturesDir })
+        .then(server => {
+            const address = server.address();
+            console.log(`🧪 Mock GitHub API listening on http://${address.address}:${address.port}`);
+            console.log(`   Fixtures: ${fixturesDir || DEFAULT_FIXTURES_DIR}`);
+        })
+        .catch(error => {
+            console.error('❌ Failed to start mock server:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { startMockServer };
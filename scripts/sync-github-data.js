@@ -8,13 +8,40 @@
  * - GitHub App authentication (15,000 requests/hour)
  * - Always full sync (catches pod/codeowners changes)
  * - ETag support for conditional requests
- * - Rate limit handling with exponential backoff
+ * - Rate limit handling (Retry-After, secondary limits) with jittered exponential backoff
+ * - Work queue with adaptive concurrency
  * - Batch organization listing
  * - Progress tracking
+ * - Daily vulnerability snapshot history (data/history.json)
+ * - Optional per-alert details for drill-downs (data/alerts.json, --alert-details)
+ * - Optional bulk org-level alert endpoints (--org-alerts), falling back to per-repo calls on 403
+ * - Optional GraphQL batch metadata fetch (--graphql), 50 repos per query
+ * - Pod/vertical resolution from ordered rules (data/ownership-rules.json)
+ * - CODEOWNERS parsing (default and per-path owners, missing or empty teams)
+ * - Default-branch protection and ruleset compliance checks
+ * - Change report against the previous sync (data/sync-changes.json and .md)
+ * - Vulnerable package inventory from Dependabot alerts (data/packages.json)
+ * - Code scanning rule and CWE breakdown with fix rates (data/code-scanning-rules.json)
+ * - Output validated against data/repository-schema.json before the data file is replaced
+ * - Periodic checkpoints (data/.sync-checkpoint.json), --resume continues an interrupted sync
+ * - Checked-in sync config (data/sync-config.json): organizations, API base URLs, repo include/exclude
+ *   patterns, enrichers and rate limits
  * 
  * Usage:
- *   node scripts/sync-github-data.js [--org org-name]
+ *   node scripts/sync-github-data.js [--org org-name] [--alert-details] [--org-alerts] [--graphql] [--resume] [--config=path]
+ *
+ * Webhook updates: scripts/webhook-server.js calls syncRepositories({ repos, webhook: true }) per delivery
+ *
+ * Debugging options:
+ *   --dry-run                 Sync and print the change report without writing any file
+ *   --repo=org/name           Resync only this repository (repeatable or comma-separated); others are kept as is
+ *   --repos-file=path         Resync the repositories listed in a file (one org/name per line, # comments)
+ *   --skip=alerts,codeowners  Skip enrichers (alerts, codeowners, protection); their previous values are kept
+ *   --output=path             Write the data file (and its side files) elsewhere instead of data/repositories.json
+ *   --full                    Ignore the ETag cache and fetch every endpoint again
  * 
+ * Organizations listed in the sync config take precedence over the environment variables below.
+ *
  * Environment Variables (Single Org):
  *   APP_ID: GitHub App ID
  *   APP_PRIVATE_KEY: GitHub App private key (base64 encoded or raw)
@@ -24,27 +51,115 @@
  *   ORGS_CONFIG: JSON string with org configurations
  *   OR: Use pattern APP_ID_<ORG>, APP_PRIVATE_KEY_<ORG> for each org
  *   ORGS_LIST: Comma-separated list of organization names
+ * 
+ * Environment Variables (Offline development):
+ *   GITHUB_TRANSPORT: live (default), record, replay or mock (see scripts/github-transport.js)
+ *   GITHUB_FIXTURES_DIR: Fixture directory (default: scripts/fixtures/github)
+ *   GITHUB_API_BASE: API base URL (default: https://api.github.com, mock: http://127.0.0.1:4010)
+ *   SYNC_DATA_DIR: Output directory (default: data/)
+ *   SYNC_ALERT_DETAILS: Set to 1 to write data/alerts.json (same as --alert-details)
+ *   SYNC_ORG_ALERTS: Set to 1 to fetch alerts org-wide (same as --org-alerts)
+ *   SYNC_GRAPHQL: Set to 1 to fetch repo metadata via GraphQL (same as --graphql)
+ *   SYNC_OWNERSHIP_RULES: Ownership rules file (default: data/ownership-rules.json)
+ *   SYNC_CONFIG: Sync config file (default: data/sync-config.json, same as --config)
  */
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createTransport } = require('./github-transport');
+// Site settings shared with the pages (risk score exposure multipliers)
+const siteConfig = require('../js/config.js');
+const { validateAgainstSchema } = require('../js/schema-validator.js');
+
+// Data directory (override with SYNC_DATA_DIR, e.g. for replay runs)
+const dataDir = process.env.SYNC_DATA_DIR ? path.resolve(process.env.SYNC_DATA_DIR) : path.join(__dirname, '../data');
 
 // Configuration
 const CONFIG = {
-    dataFile: path.join(__dirname, '../data/repositories.json'),
-    cacheFile: path.join(__dirname, '../data/.github-cache.json'),
-    apiBase: 'https://api.github.com',
+    dataFile: path.join(dataDir, 'repositories.json'),
+    cacheFile: path.join(dataDir, '.github-cache.json'),
+    // Progress of the running sync (--resume continues from it after a crash or timeout)
+    checkpointFile: path.join(dataDir, '.sync-checkpoint.json'),
+    historyFile: path.join(dataDir, 'history.json'),
+    alertsFile: path.join(dataDir, 'alerts.json'),
+    packagesFile: path.join(dataDir, 'packages.json'),
+    rulesFile: path.join(dataDir, 'code-scanning-rules.json'),
+    // Format of the data file (checked in, not part of the synced output)
+    schemaFile: path.join(__dirname, '../data/repository-schema.json'),
+    changesFile: path.join(dataDir, 'sync-changes.json'),
+    changesMarkdownFile: path.join(dataDir, 'sync-changes.md'),
+    // Pod/vertical resolution rules (checked in next to pod-managers.yaml, not part of the synced output)
+    ownershipRulesFile: process.env.SYNC_OWNERSHIP_RULES
+        ? path.resolve(process.env.SYNC_OWNERSHIP_RULES)
+        : path.join(__dirname, '../data/ownership-rules.json'),
+    // Pod -> engineering manager mapping the pages use (history rows per manager)
+    podManagersFile: path.join(__dirname, '../data/pod-managers.yaml'),
+    // Organizations, repo filters, enrichers and rate limits (checked in; overrides the defaults below)
+    syncConfigFile: process.env.SYNC_CONFIG
+        ? path.resolve(process.env.SYNC_CONFIG)
+        : path.join(__dirname, '../data/sync-config.json'),
+    syncConfigSchemaFile: path.join(__dirname, '../data/sync-config-schema.json'),
+    history: {
+        dailyRetentionDays: 90, // Keep one snapshot per day for this many days
+        weeklyRetentionDays: 730, // Then one per ISO week up to this age, older ones are dropped
+    },
     rateLimit: {
         // Conservative limits (GitHub App: 15,000/hour, but we'll be careful)
         requestsPerHour: 12000, // Leave buffer
         requestsPerMinute: 200, // Conservative burst limit
         minDelayBetweenRequests: 200, // ms
+        minRemaining: 50, // Wait for the reset instead of using up the last requests
+        secondaryLimitWait: 60000, // ms, when a secondary rate limit response has no Retry-After
     },
     incrementalUpdate: false, // Always sync all repos to catch pod/codeowners changes
-    maxConcurrent: 5, // Concurrent requests
-    retryAttempts: 3,
-    retryDelay: 1000, // ms
+    // Per-repo enrichers (--skip=name turns one off; the record keeps its previous values)
+    enrichers: {
+        alerts: true, // Code scanning, Dependabot and secret scanning alerts
+        codeowners: true, // CODEOWNERS parsing and team checks
+        protection: true, // Default-branch protection and rulesets
+    },
+    maxConcurrent: 5, // Repos enriched in parallel (lowered automatically after secondary rate limits)
+    concurrencyIncreaseAfter: 20, // Repos completed without rate limiting before concurrency goes back up by one
+    progressInterval: 25, // Log progress every N repos
+    checkpoint: {
+        interval: 25, // Write the checkpoint file every N repos
+        maxAgeHours: 36, // --resume ignores older checkpoints (a timed-out daily run is still picked up by the next one)
+    },
+    retryAttempts: 3, // Retries for 5xx, network errors and secondary rate limits
+    rateLimitWaits: 3, // Times one request waits for a primary rate limit reset before it fails
+    retryDelay: 1000, // ms, base of the jittered exponential backoff
+    maxRetryDelay: 30000, // ms
+    tokenRefreshMargin: 5 * 60 * 1000, // ms, refresh installation tokens (valid 1 hour) this long before they expire
+    cache: {
+        maxAgeDays: 14, // Drop cached responses that have not been requested for this many days
+        bypass: false, // --full: send no conditional headers (responses are still cached for the next run)
+    },
+    orgAlerts: process.env.SYNC_ORG_ALERTS === '1', // Or --org-alerts: bulk org-level alert endpoints instead of per-repo calls
+    graphql: {
+        enabled: process.env.SYNC_GRAPHQL === '1', // Or --graphql: batch repo metadata + org-level custom properties
+        batchSize: 50, // Repositories per GraphQL query
+    },
+    remediation: {
+        windowDays: 90, // p50/p90 remediation times cover the alerts fixed within this many days
+    },
+    alertDetails: {
+        enabled: process.env.SYNC_ALERT_DETAILS === '1', // Or --alert-details
+        closedRetentionDays: 90, // Open alerts are always kept, closed ones only if closed within this many days
+    },
+    changes: {
+        // A risk score increase is reported when it grows by at least this many points and this percentage
+        riskScoreJumpPoints: 25,
+        riskScoreJumpPercent: 50,
+    },
+    // Default-branch controls every active repo must have (branch protection or rulesets); false/0 skips a check
+    compliance: {
+        requiredApprovals: 1, // Minimum approving reviews on pull requests
+        requireStatusChecks: true,
+        requireSignedCommits: true,
+        blockForcePushes: true,
+        blockDeletions: true,
+    },
 };
 
 // Rate limiting state
@@ -53,11 +168,35 @@ let rateLimitState = {
     resetAt: Date.now() + 3600000,
     requestsThisMinute: 0,
     lastRequestTime: 0,
+    pausedUntil: 0, // Shared pause after Retry-After / secondary rate limit responses
+    secondaryLimitHits: 0,
+    retries: 0,
+};
+
+// Per-repository context ({ retries }) for requests made while enriching that repository
+const requestContext = new AsyncLocalStorage();
+
+// Organization context ({ apiBase }) for requests made while syncing that organization
+const orgContext = new AsyncLocalStorage();
+
+// Server errors worth retrying
+const RETRYABLE_STATUS_CODES = [500, 502, 503, 504];
+
+// Conditional request statistics
+let cacheStats = {
+    notModified: 0,
+    fetched: 0,
 };
 
 // GitHub App authentication
 let githubToken = null;
 
+// Compiled ownership rules (see loadOwnershipRules)
+let ownershipRules = null;
+
+// HTTP transport (live, record, replay or mock - see scripts/github-transport.js)
+const transport = createTransport();
+
 /**
  * Generate GitHub App JWT token
  */
@@ -109,81 +248,267 @@ async function getInstallationToken(org) {
 }
 
 /**
- * Make GitHub API request with rate limiting
+ * Make GitHub API request with rate limiting, returning the parsed body
+ *
+ * token is either a string (app JWT) or an installation token from getInstallationTokenForOrg,
+ * which is refreshed before it expires and once more if GitHub answers 401.
  */
 async function githubRequest(method, path, data = null, token = null) {
-    const url = `${CONFIG.apiBase}${path}`;
-    
-    // Rate limiting
-    await waitForRateLimit();
-
-    return new Promise((resolve, reject) => {
-        const options = {
-            method,
-            headers: {
-                'Accept': 'application/vnd.github.v3+json',
-                'User-Agent': 'repository-tracker-sync',
-            }
+    const response = await githubRequestWithHeaders(method, path, data, token);
+    return response.data;
+}
+
+/**
+ * Make GitHub API request with rate limiting and retries, returning { data, headers, statusCode }
+ */
+async function githubRequestWithHeaders(method, path, data = null, token = null, extraHeaders = {}) {
+    let attempt = 0;
+    let rateLimitWaits = 0;
+    let retriedUnauthorized = false;
+
+    while (true) {
+        // Rate limiting
+        await waitForRateLimit();
+
+        const headers = {
+            'Accept': 'application/vnd.github.v3+json',
+            'User-Agent': 'repository-tracker-sync',
+            ...extraHeaders,
         };
 
-        if (token) {
-            options.headers['Authorization'] = `Bearer ${token}`;
+        const bearer = await resolveToken(token);
+        if (bearer) {
+            headers['Authorization'] = `Bearer ${bearer}`;
         }
 
         if (data && method !== 'GET') {
-            options.headers['Content-Type'] = 'application/json';
-        }
-
-        const req = https.request(url, options, (res) => {
-            // Update rate limit state
-            updateRateLimitState(res.headers);
-
-            let body = '';
-            res.on('data', chunk => body += chunk);
-            res.on('end', () => {
-                // Handle rate limiting
-                if (res.statusCode === 403 && res.headers['x-ratelimit-remaining'] === '0') {
-                    const resetTime = parseInt(res.headers['x-ratelimit-reset']) * 1000;
-                    const waitTime = resetTime - Date.now() + 1000; // Add 1 second buffer
-                    console.log(`\n⏳ Rate limit reached. Waiting ${Math.ceil(waitTime/1000)} seconds...`);
-                    setTimeout(() => {
-                        githubRequest(method, path, data, token).then(resolve).catch(reject);
-                    }, waitTime);
-                    return;
-                }
-
-                // Handle errors
-                if (res.statusCode >= 400) {
-                    const error = new Error(`GitHub API error: ${res.statusCode}`);
-                    error.statusCode = res.statusCode;
-                    error.body = body;
-                    reject(error);
-                    return;
-                }
+            headers['Content-Type'] = 'application/json';
+        }
 
-                try {
-                    const json = body ? JSON.parse(body) : null;
-                    resolve(json);
-                } catch (e) {
-                    resolve(body);
-                }
+        let res;
+        try {
+            res = await transport.request({
+                method,
+                path,
+                headers,
+                body: data && method !== 'GET' ? JSON.stringify(data) : null,
+                apiBase: getApiBase(path)
             });
-        });
+        } catch (error) {
+            // Network errors (connection reset, timeout) are retried like 5xx responses
+            if (attempt < CONFIG.retryAttempts) {
+                await backoffBeforeRetry(attempt++, `${method} ${path}: ${error.message}`);
+                continue;
+            }
+            throw error;
+        }
 
-        req.on('error', reject);
+        // Update rate limit state
+        updateRateLimitState(res.headers);
 
-        if (data && method !== 'GET') {
-            req.write(JSON.stringify(data));
+        // Token expired or revoked early: mint a new one and try once more
+        if (res.statusCode === 401 && isInstallationToken(token) && !retriedUnauthorized) {
+            retriedUnauthorized = true;
+            console.log(`\n🔑 401 on ${path}, refreshing installation token for ${token.org}...`);
+            await refreshInstallationToken(token, bearer);
+            continue;
         }
 
-        req.end();
-    });
+        // Primary rate limit exhausted: pause everyone until the reset (doesn't use up retry attempts,
+        // but a limit that doesn't lift after a few resets fails the request instead of looping)
+        if ((res.statusCode === 403 || res.statusCode === 429) && res.headers['x-ratelimit-remaining'] === '0' &&
+            rateLimitWaits < CONFIG.rateLimitWaits) {
+            const resetTime = parseInt(res.headers['x-ratelimit-reset']) * 1000;
+            // Without a usable reset header, wait as long as for a secondary limit
+            const waitTime = resetTime > Date.now()
+                ? resetTime - Date.now() + 1000 // Add 1 second buffer
+                : CONFIG.rateLimit.secondaryLimitWait;
+            console.log(`\n⏳ Rate limit reached. Waiting ${Math.ceil(waitTime/1000)} seconds...`);
+            pauseRequests(waitTime);
+            rateLimitWaits++;
+            continue;
+        }
+
+        // Secondary rate limit (too many concurrent requests or too much at once): back off for Retry-After
+        if (isSecondaryRateLimit(res)) {
+            rateLimitState.secondaryLimitHits++;
+            if (attempt < CONFIG.retryAttempts) {
+                const waitTime = getRetryAfterMs(res.headers) ?? CONFIG.rateLimit.secondaryLimitWait;
+                console.log(`\n⏳ Secondary rate limit on ${path}. Waiting ${Math.ceil(waitTime/1000)} seconds...`);
+                pauseRequests(waitTime);
+                recordRetry();
+                attempt++;
+                continue;
+            }
+        } else if (RETRYABLE_STATUS_CODES.includes(res.statusCode) && attempt < CONFIG.retryAttempts) {
+            await backoffBeforeRetry(attempt++, `${method} ${path}: ${res.statusCode}`, getRetryAfterMs(res.headers));
+            continue;
+        }
+
+        // Handle errors
+        if (res.statusCode >= 400) {
+            const error = new Error(`GitHub API error: ${res.statusCode}`);
+            error.statusCode = res.statusCode;
+            error.body = res.body;
+            throw error;
+        }
+
+        let json;
+        try {
+            json = res.body ? JSON.parse(res.body) : null;
+        } catch (e) {
+            json = res.body;
+        }
+
+        return { data: json, headers: res.headers, statusCode: res.statusCode };
+    }
+}
+
+/**
+ * API base URL for a request: the organization's (sync config "apiBase") or the transport's default
+ *
+ * GitHub Enterprise Server serves GraphQL from /api/graphql next to the /api/v3 REST base.
+ */
+function getApiBase(requestPath = '') {
+    const org = orgContext.getStore();
+    // Fixtures and the mock server stand in for every organization
+    if (transport.offline || !org || !org.apiBase) return transport.apiBase;
+
+    const apiBase = org.apiBase.replace(/\/$/, '');
+    return requestPath === '/graphql' ? apiBase.replace(/\/api\/v3$/, '/api') : apiBase;
+}
+
+/**
+ * Whether a response is a secondary rate limit (403/429 with Retry-After or the documented message)
+ */
+function isSecondaryRateLimit(res) {
+    if (res.statusCode !== 403 && res.statusCode !== 429) return false;
+    if (res.headers['retry-after'] !== undefined) return true;
+    return /secondary rate limit|abuse detection/i.test(res.body || '');
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds, or null if absent
+ */
+function getRetryAfterMs(headers) {
+    const value = headers['retry-after'];
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with jitter: between 50% and 100% of retryDelay * 2^attempt, capped at maxRetryDelay
+ */
+function getBackoffDelay(attempt) {
+    const base = Math.min(CONFIG.retryDelay * Math.pow(2, attempt), CONFIG.maxRetryDelay);
+    return Math.round(base / 2 + Math.random() * (base / 2));
+}
+
+/**
+ * Count a retry for the sync totals and for the repository being enriched (if any)
+ */
+function recordRetry() {
+    rateLimitState.retries++;
+    const context = requestContext.getStore();
+    if (context) {
+        context.retries++;
+    }
+}
+
+/**
+ * Wait before retrying a failed request (Retry-After wins over the computed backoff)
+ */
+async function backoffBeforeRetry(attempt, reason, retryAfterMs = null) {
+    recordRetry();
+    const delay = retryAfterMs ?? getBackoffDelay(attempt);
+    console.warn(`   ↻ Retry ${attempt + 1}/${CONFIG.retryAttempts} in ${Math.ceil(delay / 1000)}s (${reason})`);
+    // No point waiting on fixtures or a local mock server
+    if (!transport.offline) {
+        await sleep(delay);
+    }
+}
+
+/**
+ * Pause all requests (every worker goes through waitForRateLimit) for at least waitTime ms
+ */
+function pauseRequests(waitTime) {
+    // A NaN pausedUntil would disable every later pause
+    if (!Number.isFinite(waitTime)) return;
+    rateLimitState.pausedUntil = Math.max(rateLimitState.pausedUntil, Date.now() + Math.max(0, waitTime));
+}
+
+/**
+ * Make a conditional GET request (If-None-Match/If-Modified-Since), reusing the cached body on 304 Not Modified
+ */
+async function githubCachedRequest(path, token, cache) {
+    if (!cache) {
+        return githubRequestWithHeaders('GET', path, null, token);
+    }
+
+    const entry = CONFIG.cache.bypass ? null : cache.responses[path];
+    const conditionalHeaders = {};
+    if (entry && entry.etag) {
+        conditionalHeaders['If-None-Match'] = entry.etag;
+    }
+    if (entry && entry.lastModified) {
+        conditionalHeaders['If-Modified-Since'] = entry.lastModified;
+    }
+
+    let response;
+    try {
+        response = await githubRequestWithHeaders('GET', path, null, token, conditionalHeaders);
+    } catch (error) {
+        // Endpoint gone (file deleted, feature disabled) - don't keep serving the old body
+        if (error.statusCode === 404) {
+            delete cache.responses[path];
+        }
+        throw error;
+    }
+
+    const usedAt = new Date().toISOString();
+
+    if (response.statusCode === 304 && entry) {
+        // 304s don't count against the rate limit and carry no body
+        cacheStats.notModified++;
+        entry.usedAt = usedAt;
+        return {
+            data: entry.body,
+            headers: { ...response.headers, link: response.headers.link || entry.link },
+            statusCode: 304,
+        };
+    }
+
+    cacheStats.fetched++;
+    const etag = response.headers.etag;
+    const lastModified = response.headers['last-modified'];
+    if (etag || lastModified) {
+        cache.responses[path] = {
+            etag: etag,
+            lastModified: lastModified,
+            link: response.headers.link,
+            body: response.data,
+            usedAt: usedAt,
+        };
+    } else {
+        delete cache.responses[path];
+    }
+
+    return response;
 }
 
 /**
  * Update rate limit state from response headers
  */
 function updateRateLimitState(headers) {
+    // GraphQL and search have their own budgets; only track the core REST limit
+    if (headers['x-ratelimit-resource'] && headers['x-ratelimit-resource'] !== 'core') {
+        return;
+    }
     if (headers['x-ratelimit-remaining']) {
         rateLimitState.remaining = parseInt(headers['x-ratelimit-remaining']);
     }
@@ -196,6 +521,22 @@ function updateRateLimitState(headers) {
  * Wait if we're approaching rate limits
  */
 async function waitForRateLimit() {
+    // Nothing to protect when answering from fixtures or a local mock server
+    if (transport.offline) return;
+
+    // Primary limit almost used up: wait for the reset rather than running into 403s
+    if (rateLimitState.remaining <= CONFIG.rateLimit.minRemaining &&
+        rateLimitState.resetAt > Date.now() && rateLimitState.pausedUntil < rateLimitState.resetAt) {
+        const waitTime = rateLimitState.resetAt - Date.now() + 1000;
+        console.log(`⏸️  ${rateLimitState.remaining} requests left: waiting ${Math.ceil(waitTime/1000)}s for the rate limit reset...`);
+        pauseRequests(waitTime);
+    }
+
+    // Shared pause after a rate limit response (all workers wait together)
+    if (rateLimitState.pausedUntil > Date.now()) {
+        await sleep(rateLimitState.pausedUntil - Date.now());
+    }
+
     const now = Date.now();
     
     // Reset minute counter if needed
@@ -227,6 +568,56 @@ function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Run worker(item) for every item with at most maxConcurrency in flight
+ *
+ * A free slot is refilled as soon as any item finishes (no batch waits on its slowest repo). Concurrency is
+ * halved whenever an item ran into a secondary rate limit and raised by one again after a streak of clean items.
+ */
+function runWorkQueue(items, worker, maxConcurrency = CONFIG.maxConcurrent) {
+    let next = 0;
+    let active = 0;
+    let limit = maxConcurrency;
+    let cleanStreak = 0;
+    let secondaryLimitHits = rateLimitState.secondaryLimitHits;
+
+    return new Promise(resolve => {
+        const fill = () => {
+            if (next >= items.length && active === 0) {
+                resolve();
+                return;
+            }
+
+            while (active < limit && next < items.length) {
+                const item = items[next++];
+                active++;
+
+                Promise.resolve()
+                    .then(() => worker(item))
+                    .catch(error => console.error('❌ Work queue item failed:', error.message))
+                    .then(() => {
+                        active--;
+                        // Lower once per new secondary limit, not once per item that was in flight
+                        if (rateLimitState.secondaryLimitHits > secondaryLimitHits) {
+                            secondaryLimitHits = rateLimitState.secondaryLimitHits;
+                            if (limit > 1) {
+                                limit = Math.max(1, Math.floor(limit / 2));
+                                console.log(`   ⚙️  Concurrency lowered to ${limit} after secondary rate limit`);
+                            }
+                            cleanStreak = 0;
+                        } else if (++cleanStreak >= CONFIG.concurrencyIncreaseAfter && limit < maxConcurrency) {
+                            limit++;
+                            cleanStreak = 0;
+                        }
+                        fill();
+                    });
+            }
+        };
+
+        fill();
+    });
+}
+
 /**
  * Load existing repository data
  */
@@ -242,183 +633,1557 @@ function loadExistingData() {
 }
 
 /**
- * Load cache (last sync metadata)
+ * Load cache (last sync time and conditional request responses keyed by API path)
  */
 function loadCache() {
     try {
-        const cache = fs.readFileSync(CONFIG.cacheFile, 'utf8');
-        return JSON.parse(cache);
+        const cache = JSON.parse(fs.readFileSync(CONFIG.cacheFile, 'utf8'));
+        return {
+            lastSync: cache.lastSync || null,
+            responses: cache.responses || {}
+        };
     } catch (error) {
         return {
             lastSync: null,
-            repoETags: {},
-            repoLastModified: {}
+            responses: {}
         };
     }
 }
 
+/**
+ * Drop cached responses that have not been requested recently (deleted repos, removed pages)
+ */
+function pruneCache(cache, now = Date.now()) {
+    const maxAge = CONFIG.cache.maxAgeDays * 24 * 60 * 60 * 1000;
+    Object.keys(cache.responses).forEach(key => {
+        const usedAt = Date.parse(cache.responses[key].usedAt);
+        if (!usedAt || now - usedAt > maxAge) {
+            delete cache.responses[key];
+        }
+    });
+}
+
 /**
  * Save cache
  */
 function saveCache(cache) {
     try {
-        fs.writeFileSync(CONFIG.cacheFile, JSON.stringify(cache, null, 2));
+        pruneCache(cache);
+        // Compact: the cache holds full response bodies
+        fs.writeFileSync(CONFIG.cacheFile, JSON.stringify(cache));
     } catch (error) {
         console.warn('⚠️  Could not save cache:', error.message);
     }
 }
 
 /**
- * Fetch all repositories for an organization (with pagination)
+ * Key of the options that decide what a sync fetches (a checkpoint is only resumed by the same kind of run)
  */
-async function fetchOrganizationRepos(org, token) {
-    console.log(`\n📦 Fetching repositories for ${org}...`);
-    
-    const repos = [];
-    let page = 1;
-    let hasMore = true;
-    let lastResponseHeaders = null;
+function getCheckpointRunKey(orgConfigs, targets) {
+    return JSON.stringify({
+        organizations: orgConfigs.map(config => config.name),
+        repos: targets ? [...targets].map(([org, names]) => names.map(name => `${org}/${name}`)).flat() : null,
+        enrichers: CONFIG.enrichers,
+        alertDetails: CONFIG.alertDetails.enabled
+    });
+}
 
-    while (hasMore) {
-        try {
-            // We'll make the request and capture headers
-            const url = `${CONFIG.apiBase}/orgs/${org}/repos?type=all&per_page=100&page=${page}`;
-            
-            // Rate limiting
-            await waitForRateLimit();
-
-            const response = await new Promise((resolve, reject) => {
-                const options = {
-                    method: 'GET',
-                    headers: {
-                        'Accept': 'application/vnd.github.v3+json',
-                        'User-Agent': 'repository-tracker-sync',
-                        'Authorization': `Bearer ${token}`
-                    }
-                };
+/**
+ * Load the checkpoint of an interrupted sync
+ *
+ * @returns {Object|null} { runKey, startedAt, savedAt, orgs: { [org]: progress } }, null when missing or too old
+ */
+function loadCheckpoint() {
+    let checkpoint;
+    try {
+        checkpoint = JSON.parse(fs.readFileSync(CONFIG.checkpointFile, 'utf8'));
+    } catch (error) {
+        return null;
+    }
 
-                const req = https.request(url, options, (res) => {
-                    updateRateLimitState(res.headers);
-                    lastResponseHeaders = res.headers;
+    // Measured from the start of the run: every save refreshes savedAt, so a run that keeps failing would never expire
+    const ageHours = (Date.now() - Date.parse(checkpoint.startedAt)) / (60 * 60 * 1000);
+    if (!(ageHours <= CONFIG.checkpoint.maxAgeHours)) {
+        console.warn(`⚠️  Ignoring checkpoint of the sync started at ${checkpoint.startedAt} (older than ${CONFIG.checkpoint.maxAgeHours} hours)`);
+        return null;
+    }
+    return checkpoint;
+}
 
-                    let body = '';
-                    res.on('data', chunk => body += chunk);
-                    res.on('end', () => {
-                        if (res.statusCode >= 400) {
-                            reject(new Error(`GitHub API error: ${res.statusCode}`));
-                            return;
-                        }
-                        try {
-                            resolve(JSON.parse(body));
-                        } catch (e) {
-                            reject(e);
-                        }
-                    });
-                });
+/**
+ * Save the checkpoint (written to a temporary file first, so a crash mid-write keeps the previous one)
+ */
+function saveCheckpoint(checkpoint) {
+    try {
+        checkpoint.savedAt = new Date().toISOString();
+        fs.mkdirSync(path.dirname(CONFIG.checkpointFile), { recursive: true });
+        fs.writeFileSync(`${CONFIG.checkpointFile}.tmp`, JSON.stringify(checkpoint));
+        fs.renameSync(`${CONFIG.checkpointFile}.tmp`, CONFIG.checkpointFile);
+    } catch (error) {
+        console.warn('⚠️  Could not save checkpoint:', error.message);
+    }
+}
 
-                req.on('error', reject);
-                req.end();
-            });
+/**
+ * Remove the checkpoint once its sync has been written
+ */
+function clearCheckpoint() {
+    fs.rmSync(CONFIG.checkpointFile, { force: true });
+}
 
-            if (Array.isArray(response)) {
-                repos.push(...response);
-                console.log(`   Fetched page ${page}: ${response.length} repos (total: ${repos.length})`);
-                
-                // Check Link header for next page
-                const linkHeader = lastResponseHeaders?.link || '';
-                hasMore = linkHeader.includes('rel="next"');
-                page++;
-            } else {
-                hasMore = false;
-            }
-        } catch (error) {
-            if (error.message.includes('404')) {
-                console.error(`❌ Organization ${org} not found or access denied`);
-                hasMore = false;
-            } else {
-                throw error;
-            }
-        }
+// Column order of every row stored in data/history.json (kept as arrays to keep the file small).
+// Per-repo rows stop before the percentile columns, which only group rows can pool.
+const HISTORY_FIELDS = [
+    'sastTotal', 'sastCritical', 'sastHigh', 'sastMedium', 'sastLow',
+    'scaTotal', 'scaCritical', 'scaHigh', 'scaMedium', 'scaLow',
+    'secretsTotal',
+    'openedLast30Days', 'closedLast30Days',
+    'sastMttr', 'scaMttr', 'secretsMttr',
+    // p50/p90 days to fix over the remediation window (null when nothing was fixed; always the last columns, see aggregateHistoryRepos)
+    'sastCriticalP50Mttr', 'sastCriticalP90Mttr', 'sastHighP50Mttr', 'sastHighP90Mttr',
+    'sastMediumP50Mttr', 'sastMediumP90Mttr', 'sastLowP50Mttr', 'sastLowP90Mttr',
+    'scaCriticalP50Mttr', 'scaCriticalP90Mttr', 'scaHighP50Mttr', 'scaHighP90Mttr',
+    'scaMediumP50Mttr', 'scaMediumP90Mttr', 'scaLowP50Mttr', 'scaLowP90Mttr',
+    'secretsP50Mttr', 'secretsP90Mttr'
+];
+const HISTORY_REPO_FIELDS = HISTORY_FIELDS.filter(field => !/P\d+Mttr$/.test(field));
+const HISTORY_MTTR_FIELDS = HISTORY_REPO_FIELDS.filter(field => field.endsWith('Mttr'));
+
+/**
+ * Get all pods of a repository record (pod may be a string, comma list or array)
+ */
+function getRepoPods(repo) {
+    let pods = [];
+    if (Array.isArray(repo.pod)) {
+        pods = repo.pod;
+    } else if (typeof repo.pod === 'string') {
+        pods = repo.pod.split(',');
     }
+    return pods.map(p => (p || '').trim()).filter(p => p && p !== 'No Pod Selected');
+}
 
-    console.log(`   ✅ Total repositories: ${repos.length}`);
-    return repos;
+/**
+ * Get all verticals of a repository record (derived from pod names, plus explicit vertical)
+ */
+function getRepoVerticals(repo) {
+    const verticals = new Set();
+    getRepoPods(repo).forEach(pod => {
+        if (pod.includes('-')) {
+            verticals.add(pod.split('-').slice(0, -1).join('-'));
+        }
+    });
+    if (repo.vertical && repo.vertical.trim() && repo.vertical !== 'No Vertical Identified') {
+        verticals.add(repo.vertical.trim());
+    }
+    return Array.from(verticals).filter(Boolean);
 }
 
 /**
- * Fetch CODEQL/Code Scanning alerts for a repository
+ * Load the pod -> engineering manager mapping (data/pod-managers.yaml, "Pod: Manager" lines)
  */
-async function fetchCodeScanningAlerts(owner, repo, token) {
+function loadPodManagers(file = CONFIG.podManagersFile) {
+    const map = {};
+    let text;
     try {
-        const alerts = [];
-        let page = 1;
-        let hasMore = true;
-        const thirtyDaysAgo = new Date();
-        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-
-        // Fetch all alerts (open, closed, dismissed) to track opened/closed in last 30 days
-        const states = ['open', 'closed', 'dismissed'];
-        for (const state of states) {
-            page = 1;
-            hasMore = true;
-            while (hasMore) {
-                try {
-                    const response = await githubRequest(
-                        'GET',
-                        `/repos/${owner}/${repo}/code-scanning/alerts?state=${state}&per_page=100&page=${page}`,
-                        null,
-                        token
-                    );
-                    
-                    if (Array.isArray(response)) {
-                        alerts.push(...response);
-                        hasMore = response.length === 100;
-                        page++;
-                    } else {
-                        hasMore = false;
-                    }
-                } catch (error) {
-                    if (error.statusCode === 404 || error.statusCode === 403) {
-                        hasMore = false;
-                    } else {
-                        throw error;
-                    }
-                }
-            }
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        return map;
+    }
+    text.split(/\r?\n/).forEach(line => {
+        const trimmed = line.trim();
+        const idx = trimmed.indexOf(':');
+        if (!trimmed || trimmed.startsWith('#') || idx === -1) return;
+        const key = trimmed.slice(0, idx).trim();
+        let value = trimmed.slice(idx + 1).trim();
+        if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
+            value = value.slice(1, -1);
         }
+        if (key) map[key] = value;
+    });
+    return map;
+}
 
-        // Calculate opened/closed in last 30 days
-        // Track opened/closed by severity
-        const openedBySeverity = { critical: 0, high: 0, medium: 0, low: 0, info: 0 };
-        const closedBySeverity = { critical: 0, high: 0, medium: 0, low: 0, info: 0 };
+/**
+ * Get all engineering managers of a repository record (its pods' managers plus engineeringManager, as on the pages)
+ */
+function getRepoManagers(repo, podManagers) {
+    const managers = new Set();
+    getRepoPods(repo).forEach(pod => {
+        if (podManagers[pod]) managers.add(podManagers[pod]);
+    });
+    if (repo.engineeringManager && repo.engineeringManager.trim()) {
+        managers.add(repo.engineeringManager.trim());
+    }
+    return Array.from(managers);
+}
 
-        alerts.forEach(alert => {
-            const severity = (alert.rule?.security_severity_level || alert.rule?.severity || 'medium').toLowerCase();
-            const severityKey = ['critical', 'high', 'medium', 'low', 'info'].includes(severity) ? severity : 'medium';
-            
-            // Check if opened in last 30 days
-            if (alert.created_at) {
-                const created = new Date(alert.created_at);
-                if (created >= thirtyDaysAgo) {
-                    openedBySeverity[severityKey]++;
-                }
-            }
-            // Check if closed/dismissed in last 30 days
-            const closedDate = alert.closed_at || alert.dismissed_at;
-            if (closedDate) {
-                const closed = new Date(closedDate);
-                if (closed >= thirtyDaysAgo) {
-                    closedBySeverity[severityKey]++;
-                }
-            }
+/**
+ * Build a compact history row (see HISTORY_REPO_FIELDS) from a repository record
+ */
+function buildHistoryRow(repo) {
+    const vulns = repo.vulnerabilities || {};
+    const cs = vulns.codeScanning || {};
+    const dep = vulns.dependabot || {};
+    const sec = vulns.secretScanning || {};
+    return [
+        cs.total || 0, cs.critical || 0, cs.high || 0, cs.medium || 0, cs.low || 0,
+        dep.total || 0, dep.critical || 0, dep.high || 0, dep.medium || 0, dep.low || 0,
+        sec.total || 0,
+        (cs.openedLast30Days || 0) + (dep.openedLast30Days || 0) + (sec.openedLast30Days || 0),
+        (cs.closedLast30Days || 0) + (dep.closedLast30Days || 0) + (sec.closedLast30Days || 0),
+        cs.mttr || 0, dep.mttr || 0, sec.mttr || 0
+    ];
+}
+
+/**
+ * Nearest-rank percentile of ascending values (null when there are none; 0 is a same-day fix)
+ */
+function getPercentile(sortedValues, percentile) {
+    if (sortedValues.length === 0) return null;
+    return sortedValues[Math.max(0, Math.ceil((percentile / 100) * sortedValues.length) - 1)];
+}
+
+/**
+ * The p50/p90 remediation time columns of a history row, over the pooled fix times of some repositories
+ */
+function buildRemediationPercentiles(repos) {
+    const pooled = (tool, severity) => repos
+        .flatMap(repo => (((repo.vulnerabilities || {})[tool] || {}).remediationDays || {})[severity] || [])
+        .sort((a, b) => a - b);
+    const columns = [];
+
+    ['codeScanning', 'dependabot'].forEach(tool => {
+        ['critical', 'high', 'medium', 'low'].forEach(severity => {
+            const days = pooled(tool, severity);
+            columns.push(getPercentile(days, 50), getPercentile(days, 90));
         });
+    });
+    const secretDays = pooled('secretScanning', 'all');
+    columns.push(getPercentile(secretDays, 50), getPercentile(secretDays, 90));
 
-        // Filter only open alerts for severity counts
-        const openAlerts = alerts.filter(a => a.state === 'open');
-        const closedAlerts = alerts.filter(a => a.state === 'closed' || a.state === 'dismissed');
+    return columns;
+}
 
-        // Calculate vulnerability aging (for open alerts)
-        const now = new Date();
+/**
+ * Aggregate history rows: counts are summed, MTTR is averaged over repos that have one
+ */
+function aggregateHistoryRows(rows) {
+    const result = HISTORY_REPO_FIELDS.map(() => 0);
+    const mttrCounts = HISTORY_REPO_FIELDS.map(() => 0);
+
+    rows.forEach(row => {
+        HISTORY_REPO_FIELDS.forEach((field, i) => {
+            result[i] += row[i] || 0;
+            if (HISTORY_MTTR_FIELDS.includes(field) && row[i] > 0) {
+                mttrCounts[i]++;
+            }
+        });
+    });
+
+    HISTORY_REPO_FIELDS.forEach((field, i) => {
+        if (HISTORY_MTTR_FIELDS.includes(field)) {
+            result[i] = mttrCounts[i] > 0 ? Math.round(result[i] / mttrCounts[i]) : 0;
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Aggregate the history rows of a group of repositories
+ *
+ * Averaging percentiles would let one slow repo dominate again, so the p50/p90 columns are
+ * computed from the group's pooled fix times instead.
+ */
+function aggregateHistoryRepos(repos) {
+    return aggregateHistoryRows(repos.map(buildHistoryRow)).concat(buildRemediationPercentiles(repos));
+}
+
+/**
+ * Build a daily snapshot of per-repo, per-org, per-pod, per-vertical and per-manager vulnerability counts
+ */
+function buildHistorySnapshot(repos, capturedAt = new Date(), podManagers = {}) {
+    const repoRows = {};
+    const orgRepos = {};
+    const podRepos = {};
+    const verticalRepos = {};
+    const managerRepos = {};
+    const activeRepos = [];
+
+    repos.forEach(repo => {
+        if (repo.status === 'archived') return;
+        repoRows[`${repo.organization}/${repo.repository}`] = buildHistoryRow(repo);
+        activeRepos.push(repo);
+
+        (orgRepos[repo.organization] = orgRepos[repo.organization] || []).push(repo);
+        getRepoManagers(repo, podManagers).forEach(manager => {
+            (managerRepos[manager] = managerRepos[manager] || []).push(repo);
+        });
+
+        getRepoPods(repo).forEach(pod => {
+            (podRepos[pod] = podRepos[pod] || []).push(repo);
+        });
+        getRepoVerticals(repo).forEach(vertical => {
+            (verticalRepos[vertical] = verticalRepos[vertical] || []).push(repo);
+        });
+    });
+
+    const aggregateMap = (map) => Object.fromEntries(
+        Object.entries(map).map(([key, groupRepos]) => [key, aggregateHistoryRepos(groupRepos)])
+    );
+
+    return {
+        date: capturedAt.toISOString().split('T')[0],
+        capturedAt: capturedAt.toISOString(),
+        repoCount: activeRepos.length,
+        totals: aggregateHistoryRepos(activeRepos),
+        orgs: aggregateMap(orgRepos),
+        pods: aggregateMap(podRepos),
+        verticals: aggregateMap(verticalRepos),
+        managers: aggregateMap(managerRepos),
+        repos: repoRows
+    };
+}
+
+/**
+ * Get the ISO week key (e.g. "2026-W07") for a YYYY-MM-DD date
+ */
+function getIsoWeekKey(dateString) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    const day = date.getUTCDay() || 7;
+    date.setUTCDate(date.getUTCDate() + 4 - day);
+    const yearStart = new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+    const week = Math.ceil((((date - yearStart) / 86400000) + 1) / 7);
+    return `${date.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Apply the retention policy: daily snapshots for dailyRetentionDays, then the
+ * latest snapshot of each ISO week until weeklyRetentionDays, then nothing.
+ * Weekly snapshots keep only their group rows: per-repo rows make up most of the file.
+ */
+function applyHistoryRetention(snapshots, now = new Date(), retention = CONFIG.history) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const sorted = [...snapshots].sort((a, b) => a.date.localeCompare(b.date));
+    const keptWeeks = new Map();
+    const result = [];
+
+    sorted.forEach(snapshot => {
+        const ageDays = Math.floor((now - new Date(`${snapshot.date}T00:00:00Z`)) / dayMs);
+        if (ageDays > retention.weeklyRetentionDays) return;
+        if (ageDays <= retention.dailyRetentionDays) {
+            result.push(snapshot);
+            return;
+        }
+        // Later snapshots in the same week replace earlier ones
+        const { repos, ...weekly } = snapshot;
+        keptWeeks.set(getIsoWeekKey(snapshot.date), weekly);
+    });
+
+    return [...keptWeeks.values(), ...result].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Load snapshot history
+ */
+function loadHistory() {
+    try {
+        const history = JSON.parse(fs.readFileSync(CONFIG.historyFile, 'utf8'));
+        return Array.isArray(history.snapshots) ? history.snapshots : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Record today's snapshot in the history file (one snapshot per day, last run wins)
+ */
+function recordHistorySnapshot(repos, file = CONFIG.historyFile) {
+    const now = new Date();
+    const snapshot = buildHistorySnapshot(repos, now, loadPodManagers());
+    const snapshots = loadHistory().filter(s => s.date !== snapshot.date);
+    snapshots.push(snapshot);
+    const retained = applyHistoryRetention(snapshots, now);
+
+    const output = {
+        metadata: {
+            lastUpdated: now.toISOString(),
+            version: '1.0',
+            fields: HISTORY_FIELDS,
+            retention: CONFIG.history,
+            snapshotCount: retained.length
+        },
+        snapshots: retained
+    };
+
+    try {
+        fs.writeFileSync(file, JSON.stringify(output));
+        console.log(`📈 Recorded history snapshot for ${snapshot.date} (${retained.length} snapshots retained)`);
+    } catch (error) {
+        console.warn('⚠️  Could not save history:', error.message);
+    }
+}
+
+/**
+ * Risk score of a repository (same formula as RepositoryTracker.calculateRiskScore in js/repository-tracker.js)
+ */
+function calculateRiskScore(repo) {
+    const vulns = repo.vulnerabilities;
+    if (!vulns) return 0;
+
+    const codeScanning = vulns.codeScanning || {};
+    const dependabot = vulns.dependabot || {};
+    const secretScanning = vulns.secretScanning || {};
+    const count = severity => (codeScanning[severity] || 0) + (dependabot[severity] || 0);
+
+    // Severity weights: Critical=10, High=7, Medium=4, Low=2, Info=1, secrets=5
+    const baseScore = count('critical') * 10 + count('high') * 7 + count('medium') * 4 + count('low') * 2 +
+        count('info') + (secretScanning.total || 0) * 5;
+
+    const maxAge = Math.max(
+        codeScanning.aging?.averageAge || 0,
+        dependabot.aging?.averageAge || 0,
+        secretScanning.aging?.averageAge || 0
+    );
+    const ageMultiplier = maxAge > 0 ? Math.min(1.0 + maxAge / 60, 3.0) : 1.0;
+
+    const multipliers = siteConfig.riskScore.exposureMultipliers;
+    let exposureMultiplier = multipliers[repo.visibility] || 1.0;
+    if (repo.fork) exposureMultiplier *= multipliers.fork;
+    if (repo.isTemplate) exposureMultiplier *= multipliers.template;
+
+    return Math.round(baseScore * ageMultiplier * exposureMultiplier);
+}
+
+/**
+ * Compare the previous and new repository lists
+ *
+ * Alert changes are net increases of open counts; with alert details, the critical/high alerts and
+ * secrets created since the previous sync are listed too.
+ *
+ * @param {string|null} previousSync - metadata.lastUpdated of the previous data file
+ * @param {Object} alertsByRepo - per-alert details of this run ({ "org/repo": [alerts] }), may be empty
+ * @returns {Object} change report ({ metadata, added, removed, ownershipChanges, newAlerts, newSecrets, riskScoreJumps })
+ */
+function buildChangeReport(previousRepos, currentRepos, previousSync, alertsByRepo = {}) {
+    const keyOf = repo => `${repo.organization}/${repo.repository}`;
+    const previousMap = new Map(previousRepos.map(repo => [keyOf(repo), repo]));
+    const currentKeys = new Set(currentRepos.map(keyOf));
+    const describe = repo => ({
+        organization: repo.organization,
+        repository: repo.repository,
+        pod: repo.pod,
+        vertical: repo.vertical,
+    });
+    const openCount = (repo, tool, field) => repo?.vulnerabilities?.[tool]?.[field] || 0;
+    const createdSince = alert => alert.state === 'open' && (!previousSync || Date.parse(alert.createdAt) > Date.parse(previousSync));
+
+    const report = {
+        added: [],
+        removed: previousRepos.filter(repo => !currentKeys.has(keyOf(repo))).map(describe),
+        ownershipChanges: [],
+        newAlerts: [],
+        newSecrets: [],
+        riskScoreJumps: [],
+    };
+
+    currentRepos.forEach(repo => {
+        const key = keyOf(repo);
+        const previous = previousMap.get(key);
+        // Stale records weren't fetched this run
+        if (repo.stale) return;
+
+        if (!previous) {
+            report.added.push(describe(repo));
+        } else {
+            ['pod', 'vertical', 'engineeringManager'].forEach(field => {
+                if ((previous[field] || '') !== (repo[field] || '')) {
+                    report.ownershipChanges.push({ ...describe(repo), field, from: previous[field] || '', to: repo[field] || '' });
+                }
+            });
+        }
+
+        const alerts = alertsByRepo[key] || [];
+
+        const severityIncrease = severity => Math.max(0,
+            openCount(repo, 'codeScanning', severity) + openCount(repo, 'dependabot', severity) -
+            openCount(previous, 'codeScanning', severity) - openCount(previous, 'dependabot', severity));
+        const critical = severityIncrease('critical');
+        const high = severityIncrease('high');
+        const newSevereAlerts = alerts.filter(alert => ['critical', 'high'].includes(alert.severity) && createdSince(alert));
+        if (critical > 0 || high > 0 || newSevereAlerts.length > 0) {
+            report.newAlerts.push({
+                ...describe(repo),
+                critical,
+                high,
+                alerts: newSevereAlerts.map(alert => ({
+                    tool: alert.tool,
+                    severity: alert.severity,
+                    title: alert.title || alert.ruleId || alert.package,
+                    htmlUrl: alert.htmlUrl,
+                })),
+            });
+        }
+
+        const secretsFrom = openCount(previous, 'secretScanning', 'total');
+        const secretsTo = openCount(repo, 'secretScanning', 'total');
+        const newSecretAlerts = alerts.filter(alert => alert.tool === 'secretScanning' && createdSince(alert));
+        if (secretsTo > secretsFrom || newSecretAlerts.length > 0) {
+            report.newSecrets.push({
+                ...describe(repo),
+                from: secretsFrom,
+                to: secretsTo,
+                secretTypes: [...new Set(newSecretAlerts.map(alert => alert.title))],
+            });
+        }
+
+        if (previous) {
+            const from = calculateRiskScore(previous);
+            const to = calculateRiskScore(repo);
+            const increase = to - from;
+            if (increase >= CONFIG.changes.riskScoreJumpPoints &&
+                (from === 0 || (increase / from) * 100 >= CONFIG.changes.riskScoreJumpPercent)) {
+                report.riskScoreJumps.push({ ...describe(repo), from, to });
+            }
+        }
+    });
+
+    // First sync: nothing to compare with, so don't report every repository as added
+    if (previousRepos.length === 0) {
+        Object.keys(report).forEach(section => { report[section] = []; });
+    }
+
+    report.riskScoreJumps.sort((a, b) => (b.to - b.from) - (a.to - a.from));
+
+    return {
+        metadata: {
+            generatedAt: new Date().toISOString(),
+            previousSync: previousSync || null,
+            firstSync: previousRepos.length === 0,
+            summary: Object.fromEntries(Object.entries(report).map(([section, entries]) => [section, entries.length])),
+        },
+        ...report,
+    };
+}
+
+/**
+ * Render a change report as Markdown (for PR descriptions and the workflow summary)
+ */
+function formatChangeReportMarkdown(report) {
+    const name = entry => `\`${entry.organization}/${entry.repository}\``;
+    const lines = [
+        '# Sync changes',
+        '',
+        report.metadata.firstSync
+            ? `First sync, nothing to compare with (generated ${report.metadata.generatedAt}).`
+            : `Changes since the sync of ${report.metadata.previousSync || 'an unknown date'} (generated ${report.metadata.generatedAt}).`,
+        '',
+    ];
+
+    const section = (title, entries, formatEntry) => {
+        lines.push(`## ${title} (${entries.length})`, '');
+        if (entries.length === 0) {
+            lines.push('None.', '');
+            return;
+        }
+        entries.forEach(entry => lines.push(`- ${formatEntry(entry)}`));
+        lines.push('');
+    };
+
+    section('Repositories added', report.added, entry => `${name(entry)} (pod: ${entry.pod || 'none'})`);
+    section('Repositories removed', report.removed, entry => `${name(entry)} (pod: ${entry.pod || 'none'})`);
+    section('Ownership changes', report.ownershipChanges,
+        entry => `${name(entry)}: ${entry.field} "${entry.from}" → "${entry.to}"`);
+    section('New critical/high alerts', report.newAlerts, entry => {
+        const details = entry.alerts.map(alert => alert.htmlUrl ? `[${alert.title}](${alert.htmlUrl})` : alert.title);
+        return `${name(entry)}: +${entry.critical} critical, +${entry.high} high${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+    });
+    section('Newly leaked secrets', report.newSecrets,
+        entry => `${name(entry)}: ${entry.from} → ${entry.to} open${entry.secretTypes.length > 0 ? ` (${entry.secretTypes.join(', ')})` : ''}`);
+    section('Risk score jumps', report.riskScoreJumps, entry => `${name(entry)}: ${entry.from} → ${entry.to}`);
+
+    return lines.join('\n');
+}
+
+/**
+ * Read metadata.lastUpdated of the data file before it is overwritten
+ */
+function loadPreviousSyncTime() {
+    try {
+        return JSON.parse(fs.readFileSync(CONFIG.dataFile, 'utf8')).metadata?.lastUpdated || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Write the change report (JSON for the pages, Markdown for people)
+ */
+function saveChangeReport(report, files = CONFIG) {
+    try {
+        fs.writeFileSync(files.changesFile, JSON.stringify(report, null, 2));
+        fs.writeFileSync(files.changesMarkdownFile, formatChangeReportMarkdown(report));
+        const summary = report.metadata.summary;
+        console.log(`📝 Change report: ${summary.added} added, ${summary.removed} removed, ${summary.ownershipChanges} ownership changes, ` +
+            `${summary.newAlerts} repos with new critical/high alerts, ${summary.newSecrets} with new secrets, ${summary.riskScoreJumps} risk score jumps`);
+    } catch (error) {
+        console.warn('⚠️  Could not save change report:', error.message);
+    }
+}
+
+/**
+ * Fetch all repositories for an organization (with pagination)
+ */
+async function fetchOrganizationRepos(org, token, cache = null) {
+    console.log(`\n📦 Fetching repositories for ${org}...`);
+    
+    const repos = [];
+    let page = 1;
+    let hasMore = true;
+
+    while (hasMore) {
+        try {
+            // We need the Link header for pagination
+            const { data: response, headers: lastResponseHeaders } = await githubCachedRequest(
+                `/orgs/${org}/repos?type=all&per_page=100&page=${page}`,
+                token,
+                cache
+            );
+
+            if (Array.isArray(response)) {
+                repos.push(...response);
+                console.log(`   Fetched page ${page}: ${response.length} repos (total: ${repos.length})`);
+                
+                // Check Link header for next page
+                const linkHeader = lastResponseHeaders?.link || '';
+                hasMore = linkHeader.includes('rel="next"');
+                page++;
+            } else {
+                hasMore = false;
+            }
+        } catch (error) {
+            if (error.message.includes('404')) {
+                console.error(`❌ Organization ${org} not found or access denied`);
+                hasMore = false;
+            } else {
+                throw error;
+            }
+        }
+    }
+
+    console.log(`   ✅ Total repositories: ${repos.length}`);
+    return repos;
+}
+
+/**
+ * Fetch the listed repositories of an organization (a targeted sync skips the org listing)
+ *
+ * Repos that don't exist (or the App can't see) are reported and left out.
+ */
+async function fetchTargetRepos(org, names, token, cache = null) {
+    console.log(`\n📦 Fetching ${names.length} targeted repositories for ${org}...`);
+
+    const repos = [];
+    for (const name of names) {
+        try {
+            const { data: repo } = await githubCachedRequest(`/repos/${org}/${name}`, token, cache);
+            repos.push(repo);
+        } catch (error) {
+            if (!error.message.includes('404')) throw error;
+            console.warn(`⚠️  ${org}/${name} not found or access denied, skipping`);
+        }
+    }
+    return repos;
+}
+
+/**
+ * Extract CWE ids from CodeQL rule tags (e.g. "external/cwe/cwe-089" -> "CWE-89")
+ */
+function getCweIdsFromTags(tags) {
+    return (tags || [])
+        .map(tag => /^external\/cwe\/cwe-0*(\d+)$/i.exec(tag))
+        .filter(Boolean)
+        .map(match => `CWE-${match[1]}`);
+}
+
+// Dismissal reasons of the three tools, mapped onto one set of names (anything else is "other")
+const DISMISSAL_REASONS = {
+    'false positive': 'false_positive', // code scanning
+    'false_positive': 'false_positive', // secret scanning
+    'inaccurate': 'false_positive', // Dependabot
+    "won't fix": 'wont_fix',
+    'wont_fix': 'wont_fix',
+    'no_bandwidth': 'wont_fix',
+    'used in tests': 'used_in_tests',
+    'used_in_tests': 'used_in_tests',
+    'tolerable_risk': 'tolerable_risk',
+    'not_used': 'not_used',
+    'fix_started': 'fix_started',
+};
+
+/**
+ * How an alert was closed: { outcome: 'fixed' or 'dismissed', closedAt, reason } (null while open)
+ *
+ * Dependabot's auto-dismissals are dismissals with reason "auto_dismissed"; a secret only counts
+ * as fixed when it was revoked.
+ */
+function getAlertResolution(tool, alert) {
+    const dismissal = (closedAt, reason) => ({
+        outcome: 'dismissed',
+        closedAt: closedAt || null,
+        reason: DISMISSAL_REASONS[reason] || 'other'
+    });
+
+    if (tool === 'codeScanning') {
+        if (alert.state === 'dismissed') return dismissal(alert.dismissed_at, alert.dismissed_reason);
+        if (alert.state === 'fixed' || alert.state === 'closed') {
+            return { outcome: 'fixed', closedAt: alert.fixed_at || alert.closed_at || null, reason: null };
+        }
+    } else if (tool === 'dependabot') {
+        if (alert.state === 'fixed') return { outcome: 'fixed', closedAt: alert.fixed_at || null, reason: null };
+        if (alert.state === 'dismissed') return dismissal(alert.dismissed_at, alert.dismissed_reason);
+        if (alert.state === 'auto_dismissed') return { ...dismissal(alert.auto_dismissed_at), reason: 'auto_dismissed' };
+    } else if (alert.state === 'resolved') {
+        if (alert.resolution === 'revoked') return { outcome: 'fixed', closedAt: alert.resolved_at || null, reason: null };
+        return dismissal(alert.resolved_at, alert.resolution);
+    }
+    return null;
+}
+
+/**
+ * Count the alerts fixed and dismissed since a date: by severity, plus the dismissal reasons
+ *
+ * @returns {Object} summary fields fixedLast30Days(BySeverity), dismissedLast30Days(BySeverity), dismissalReasonsLast30Days
+ */
+function countResolutions(tool, alerts, since, getSeverity) {
+    const fixedBySeverity = { critical: 0, high: 0, medium: 0, low: 0, info: 0 };
+    const dismissedBySeverity = { critical: 0, high: 0, medium: 0, low: 0, info: 0 };
+    const reasons = {};
+    let fixed = 0;
+    let dismissed = 0;
+
+    alerts.forEach(alert => {
+        const resolution = getAlertResolution(tool, alert);
+        if (!resolution || !resolution.closedAt || new Date(resolution.closedAt) < since) return;
+
+        // getSeverity returns null for secrets, which only count towards the totals
+        const severity = getSeverity(alert);
+        if (resolution.outcome === 'fixed') {
+            fixed++;
+            if (severity) fixedBySeverity[severity]++;
+        } else {
+            dismissed++;
+            if (severity) dismissedBySeverity[severity]++;
+            reasons[resolution.reason] = (reasons[resolution.reason] || 0) + 1;
+        }
+    });
+
+    return {
+        fixedLast30Days: fixed,
+        dismissedLast30Days: dismissed,
+        fixedLast30DaysBySeverity: fixedBySeverity,
+        dismissedLast30DaysBySeverity: dismissedBySeverity,
+        dismissalReasonsLast30Days: reasons
+    };
+}
+
+/**
+ * Mean days from creation to fix over the fixed alerts (dismissals aren't remediation); 0 without any
+ */
+function getMeanTimeToFix(tool, alerts) {
+    let totalDays = 0;
+    let count = 0;
+
+    alerts.forEach(alert => {
+        const resolution = getAlertResolution(tool, alert);
+        if (!resolution || resolution.outcome !== 'fixed' || !resolution.closedAt || !alert.created_at) return;
+        const days = Math.floor((new Date(resolution.closedAt) - new Date(alert.created_at)) / (1000 * 60 * 60 * 24));
+        if (days >= 0) {
+            totalDays += days;
+            count++;
+        }
+    });
+
+    return count > 0 ? Math.round(totalDays / count) : 0;
+}
+
+/**
+ * Days from creation to fix of the alerts fixed within the remediation window, ascending and by severity
+ *
+ * Secret scanning alerts have no severity and are all listed under "all".
+ */
+function getRemediationDays(tool, alerts, getSeverity, now = Date.now()) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const since = now - CONFIG.remediation.windowDays * dayMs;
+    const daysBySeverity = {};
+
+    alerts.forEach(alert => {
+        const resolution = getAlertResolution(tool, alert);
+        if (!resolution || resolution.outcome !== 'fixed' || !resolution.closedAt || !alert.created_at) return;
+        const fixedAt = Date.parse(resolution.closedAt);
+        if (fixedAt < since) return;
+        const days = Math.floor((fixedAt - Date.parse(alert.created_at)) / dayMs);
+        if (days >= 0) {
+            const severity = getSeverity(alert) || 'all';
+            (daysBySeverity[severity] = daysBySeverity[severity] || []).push(days);
+        }
+    });
+
+    Object.values(daysBySeverity).forEach(days => days.sort((a, b) => a - b));
+    return daysBySeverity;
+}
+
+/**
+ * Build the compact per-alert record stored in the alert details file
+ */
+function buildAlertDetail(tool, alert) {
+    let detail;
+
+    if (tool === 'codeScanning') {
+        detail = {
+            severity: (alert.rule?.security_severity_level || alert.rule?.severity || '').toLowerCase(),
+            ruleId: alert.rule?.id,
+            title: alert.rule?.description,
+            cwe: getCweIdsFromTags(alert.rule?.tags),
+        };
+    } else if (tool === 'dependabot') {
+        const advisory = alert.security_advisory || {};
+        detail = {
+            severity: (advisory.severity || '').toLowerCase(),
+            title: advisory.summary,
+            cwe: (advisory.cwes || []).map(cwe => cwe.cwe_id),
+            cve: advisory.cve_id,
+            ghsa: advisory.ghsa_id,
+            package: alert.dependency?.package?.name,
+            ecosystem: alert.dependency?.package?.ecosystem,
+        };
+    } else {
+        // Secrets have no severity
+        detail = {
+            ruleId: alert.secret_type,
+            title: alert.secret_type_display_name || alert.secret_type,
+        };
+    }
+
+    const resolution = getAlertResolution(tool, alert);
+    const record = {
+        tool: tool,
+        number: alert.number,
+        state: alert.state,
+        ...detail,
+        createdAt: alert.created_at,
+        fixedAt: resolution && resolution.outcome === 'fixed' ? resolution.closedAt : null,
+        dismissedAt: resolution && resolution.outcome === 'dismissed' ? resolution.closedAt : null,
+        dismissedReason: resolution ? resolution.reason : null,
+        htmlUrl: alert.html_url,
+    };
+
+    // Leave out empty fields to keep the file small
+    Object.keys(record).forEach(key => {
+        const value = record[key];
+        if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+            delete record[key];
+        }
+    });
+
+    return record;
+}
+
+/**
+ * Build alert details for a repository: all open alerts plus recently closed ones
+ */
+function buildAlertDetails(tool, alerts, now = Date.now()) {
+    const cutoff = now - CONFIG.alertDetails.closedRetentionDays * 24 * 60 * 60 * 1000;
+
+    return alerts
+        .map(alert => buildAlertDetail(tool, alert))
+        .filter(detail => {
+            if (detail.state === 'open') return true;
+            const closedAt = Date.parse(detail.fixedAt || detail.dismissedAt);
+            return Boolean(closedAt) && closedAt >= cutoff;
+        });
+}
+
+/**
+ * Load the previous alert details ({ "org/repo": [alerts] })
+ */
+function loadAlertDetails() {
+    try {
+        const data = JSON.parse(fs.readFileSync(CONFIG.alertsFile, 'utf8'));
+        return data.repositories || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Write the alert details file for the synced repos (repos whose alerts weren't fetched keep their previous alerts)
+ */
+function saveAlertDetails(alertsByRepo, repos, file = CONFIG.alertsFile) {
+    const previous = loadAlertDetails();
+    const repositories = {};
+    let totalAlerts = 0;
+
+    repos.forEach(repo => {
+        const key = `${repo.organization}/${repo.repository}`;
+        // Stale, archived, untargeted (--repo) and --skip=alerts repos weren't fetched this run: keep their previous details
+        const alerts = key in alertsByRepo ? alertsByRepo[key] : previous[key];
+        if (alerts && alerts.length > 0) {
+            repositories[key] = alerts;
+            totalAlerts += alerts.length;
+        }
+    });
+
+    const output = {
+        metadata: {
+            lastUpdated: new Date().toISOString(),
+            version: '1.0',
+            closedRetentionDays: CONFIG.alertDetails.closedRetentionDays,
+            totalAlerts: totalAlerts
+        },
+        repositories: repositories
+    };
+
+    // Compact JSON: one record per alert adds up quickly
+    fs.writeFileSync(file, JSON.stringify(output));
+    console.log(`🔎 Saved ${totalAlerts} alert details to ${file}`);
+}
+
+// Alert endpoint and the states fetched for each tool (per repository and organization-wide)
+const ALERT_TOOLS = {
+    codeScanning: { path: 'code-scanning', states: ['open', 'closed', 'dismissed'] },
+    dependabot: { path: 'dependabot', states: ['open', 'dismissed', 'fixed', 'auto_dismissed'] },
+    secretScanning: { path: 'secret-scanning', states: ['open', 'resolved'] },
+};
+
+/**
+ * Group a repository's open Dependabot alerts by package ({ ecosystem, name, manifests, alerts, advisories })
+ */
+function buildPackageFindings(openAlerts) {
+    const packages = new Map();
+
+    openAlerts.forEach(alert => {
+        const pkg = alert.dependency?.package || alert.security_vulnerability?.package;
+        if (!pkg || !pkg.name) return;
+
+        const key = `${pkg.ecosystem}:${pkg.name}`;
+        if (!packages.has(key)) {
+            packages.set(key, { ecosystem: pkg.ecosystem, name: pkg.name, manifests: [], alerts: 0, advisories: [] });
+        }
+        const entry = packages.get(key);
+        entry.alerts++;
+
+        const manifest = alert.dependency?.manifest_path;
+        if (manifest && !entry.manifests.includes(manifest)) entry.manifests.push(manifest);
+
+        const advisory = alert.security_advisory || {};
+        const vulnerability = alert.security_vulnerability || {};
+        const ghsaId = advisory.ghsa_id || null;
+        if (!entry.advisories.some(existing => existing.ghsaId === ghsaId)) {
+            entry.advisories.push({
+                ghsaId: ghsaId,
+                cveId: advisory.cve_id || null,
+                severity: (vulnerability.severity || advisory.severity || '').toLowerCase() || null,
+                summary: advisory.summary || null,
+                vulnerableRange: vulnerability.vulnerable_version_range || null,
+                firstPatchedVersion: vulnerability.first_patched_version?.identifier || null
+            });
+        }
+    });
+
+    return Array.from(packages.values());
+}
+
+/**
+ * Compare two version strings by their numeric parts ("4.17.9" < "4.17.21"); good enough to pick an upgrade target
+ */
+function compareVersions(a, b) {
+    const partsA = String(a).split(/[^0-9]+/).filter(Boolean).map(Number);
+    const partsB = String(b).split(/[^0-9]+/).filter(Boolean).map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Load the previous package inventory back into per-repo findings ({ "org/repo": [packages] })
+ */
+function loadPackageInventory() {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(CONFIG.packagesFile, 'utf8'));
+    } catch (error) {
+        return {};
+    }
+
+    const byRepo = {};
+    (data.packages || []).forEach(pkg => {
+        const advisories = new Map((pkg.advisories || []).map(advisory => [advisory.ghsaId, advisory]));
+        (pkg.repos || []).forEach(repo => {
+            const key = `${repo.organization}/${repo.repository}`;
+            (byRepo[key] = byRepo[key] || []).push({
+                ecosystem: pkg.ecosystem,
+                name: pkg.name,
+                manifests: repo.manifests || [],
+                alerts: repo.alerts || 0,
+                advisories: (repo.advisories || []).map(ghsaId => advisories.get(ghsaId)).filter(Boolean)
+            });
+        });
+    });
+    return byRepo;
+}
+
+/**
+ * Build the package inventory: one entry per vulnerable package with its advisories and affected repos
+ *
+ * The fix version is the highest first patched version across the package's advisories (null when
+ * one of them has no patch yet), so one upgrade to it clears every alert of the package.
+ */
+function buildPackageInventory(packagesByRepo, repos) {
+    const severityRank = { critical: 4, high: 3, medium: 2, low: 1 };
+    const inventory = new Map();
+
+    repos.forEach(repo => {
+        const key = `${repo.organization}/${repo.repository}`;
+        (packagesByRepo[key] || []).forEach(finding => {
+            const packageKey = `${finding.ecosystem}:${finding.name}`;
+            if (!inventory.has(packageKey)) {
+                inventory.set(packageKey, { ecosystem: finding.ecosystem, name: finding.name, advisories: new Map(), repos: [] });
+            }
+            const entry = inventory.get(packageKey);
+            finding.advisories.forEach(advisory => {
+                const existing = entry.advisories.get(advisory.ghsaId);
+                if (existing) existing.repoCount++;
+                else entry.advisories.set(advisory.ghsaId, { ...advisory, repoCount: 1 });
+            });
+            entry.repos.push({
+                organization: repo.organization,
+                repository: repo.repository,
+                manifests: finding.manifests,
+                alerts: finding.alerts,
+                advisories: finding.advisories.map(advisory => advisory.ghsaId)
+            });
+        });
+    });
+
+    return Array.from(inventory.values()).map(entry => {
+        const advisories = Array.from(entry.advisories.values())
+            .sort((a, b) => (severityRank[b.severity] || 0) - (severityRank[a.severity] || 0));
+        const patched = advisories.map(advisory => advisory.firstPatchedVersion);
+        return {
+            ecosystem: entry.ecosystem,
+            name: entry.name,
+            severity: advisories.length > 0 ? advisories[0].severity : null,
+            repoCount: entry.repos.length,
+            alertCount: entry.repos.reduce((sum, repo) => sum + repo.alerts, 0),
+            fixVersion: patched.length > 0 && patched.every(Boolean) ? patched.sort(compareVersions)[patched.length - 1] : null,
+            advisories: advisories,
+            repos: entry.repos
+        };
+    }).sort((a, b) => b.repoCount - a.repoCount || b.alertCount - a.alertCount || a.name.localeCompare(b.name));
+}
+
+/**
+ * Write the package inventory (repos whose alerts weren't fetched this run keep their previous findings)
+ */
+function savePackageInventory(packagesByRepo, repos, file = CONFIG.packagesFile) {
+    const previous = loadPackageInventory();
+    const current = {};
+    // Archived repos won't take an upgrade: they're left out of the campaign list
+    const activeRepos = repos.filter(repo => repo.status !== 'archived');
+    activeRepos.forEach(repo => {
+        const key = `${repo.organization}/${repo.repository}`;
+        current[key] = key in packagesByRepo ? packagesByRepo[key] : (previous[key] || []);
+    });
+
+    const packages = buildPackageInventory(current, activeRepos);
+    const output = {
+        metadata: {
+            lastUpdated: new Date().toISOString(),
+            version: '1.0',
+            totalPackages: packages.length,
+            totalAdvisories: new Set(packages.flatMap(pkg => pkg.advisories.map(advisory => advisory.ghsaId))).size,
+            affectedRepos: Object.values(current).filter(findings => findings.length > 0).length,
+            openAlerts: packages.reduce((sum, pkg) => sum + pkg.alertCount, 0)
+        },
+        packages: packages
+    };
+
+    fs.writeFileSync(file, JSON.stringify(output));
+    console.log(`📦 Saved ${packages.length} vulnerable packages (${output.metadata.affectedRepos} repos) to ${file}`);
+}
+
+/**
+ * Group a repository's code scanning alerts by rule ({ ruleId, tool, description, severity, cwe, open, fixed, dismissed })
+ */
+function buildRuleFindings(alerts) {
+    const rules = new Map();
+
+    alerts.forEach(alert => {
+        const ruleId = alert.rule?.id;
+        if (!ruleId) return;
+
+        const tool = alert.tool?.name || 'unknown';
+        const key = `${tool}:${ruleId}`;
+        if (!rules.has(key)) {
+            rules.set(key, {
+                ruleId: ruleId,
+                tool: tool,
+                description: alert.rule.description || null,
+                severity: (alert.rule.security_severity_level || alert.rule.severity || '').toLowerCase() || null,
+                cwe: getCweIdsFromTags(alert.rule.tags),
+                open: 0,
+                fixed: 0,
+                dismissed: 0
+            });
+        }
+        const entry = rules.get(key);
+        if (alert.state === 'open') entry.open++;
+        else if (alert.state === 'dismissed') entry.dismissed++;
+        else entry.fixed++;
+    });
+
+    return Array.from(rules.values());
+}
+
+/**
+ * Load the previous rule breakdown back into per-repo findings ({ "org/repo": [rules] })
+ */
+function loadRuleInventory() {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(CONFIG.rulesFile, 'utf8'));
+    } catch (error) {
+        return {};
+    }
+
+    const byRepo = {};
+    (data.rules || []).forEach(rule => {
+        (rule.repos || []).forEach(repo => {
+            const key = `${repo.organization}/${repo.repository}`;
+            (byRepo[key] = byRepo[key] || []).push({
+                ruleId: rule.ruleId,
+                tool: rule.tool,
+                description: rule.description,
+                severity: rule.severity,
+                cwe: rule.cwe || [],
+                open: repo.open || 0,
+                fixed: repo.fixed || 0,
+                dismissed: repo.dismissed || 0
+            });
+        });
+    });
+    return byRepo;
+}
+
+/**
+ * Fixed share of all alerts in percent (null without alerts); dismissed alerts count as not fixed
+ */
+function getFixRate(counts) {
+    const total = counts.open + counts.fixed + counts.dismissed;
+    return total > 0 ? Math.round((counts.fixed / total) * 100) : null;
+}
+
+/**
+ * Build the rule breakdown: one entry per rule with its alert counts, fix rate and affected repos,
+ * plus the same counts per CWE (a rule with several CWE tags counts towards each of them)
+ */
+function buildRuleInventory(rulesByRepo, repos) {
+    const inventory = new Map();
+
+    repos.forEach(repo => {
+        const key = `${repo.organization}/${repo.repository}`;
+        (rulesByRepo[key] || []).forEach(finding => {
+            const ruleKey = `${finding.tool}:${finding.ruleId}`;
+            if (!inventory.has(ruleKey)) {
+                inventory.set(ruleKey, {
+                    ruleId: finding.ruleId,
+                    tool: finding.tool,
+                    description: finding.description,
+                    severity: finding.severity,
+                    cwe: finding.cwe,
+                    open: 0,
+                    fixed: 0,
+                    dismissed: 0,
+                    repos: []
+                });
+            }
+            const entry = inventory.get(ruleKey);
+            entry.open += finding.open;
+            entry.fixed += finding.fixed;
+            entry.dismissed += finding.dismissed;
+            entry.repos.push({
+                organization: repo.organization,
+                repository: repo.repository,
+                open: finding.open,
+                fixed: finding.fixed,
+                dismissed: finding.dismissed
+            });
+        });
+    });
+
+    const rules = Array.from(inventory.values()).map(entry => ({
+        ruleId: entry.ruleId,
+        tool: entry.tool,
+        description: entry.description,
+        severity: entry.severity,
+        cwe: entry.cwe,
+        open: entry.open,
+        fixed: entry.fixed,
+        dismissed: entry.dismissed,
+        fixRate: getFixRate(entry),
+        repoCount: entry.repos.filter(repo => repo.open > 0).length,
+        repos: entry.repos
+    })).sort((a, b) => b.open - a.open || b.repoCount - a.repoCount || a.ruleId.localeCompare(b.ruleId));
+
+    const cwes = new Map();
+    rules.forEach(rule => {
+        rule.cwe.forEach(cweId => {
+            if (!cwes.has(cweId)) {
+                cwes.set(cweId, { cwe: cweId, rules: [], open: 0, fixed: 0, dismissed: 0, repos: new Set() });
+            }
+            const entry = cwes.get(cweId);
+            entry.rules.push(rule.ruleId);
+            entry.open += rule.open;
+            entry.fixed += rule.fixed;
+            entry.dismissed += rule.dismissed;
+            rule.repos.filter(repo => repo.open > 0).forEach(repo => entry.repos.add(`${repo.organization}/${repo.repository}`));
+        });
+    });
+
+    return {
+        rules: rules,
+        cwes: Array.from(cwes.values()).map(entry => ({
+            cwe: entry.cwe,
+            rules: entry.rules,
+            open: entry.open,
+            fixed: entry.fixed,
+            dismissed: entry.dismissed,
+            fixRate: getFixRate(entry),
+            repoCount: entry.repos.size
+        })).sort((a, b) => b.open - a.open || a.cwe.localeCompare(b.cwe, undefined, { numeric: true }))
+    };
+}
+
+/**
+ * Write the code scanning rule breakdown (repos whose alerts weren't fetched this run keep their previous findings)
+ */
+function saveRuleInventory(rulesByRepo, repos, file = CONFIG.rulesFile) {
+    const previous = loadRuleInventory();
+    const current = {};
+    const activeRepos = repos.filter(repo => repo.status !== 'archived');
+    activeRepos.forEach(repo => {
+        const key = `${repo.organization}/${repo.repository}`;
+        current[key] = key in rulesByRepo ? rulesByRepo[key] : (previous[key] || []);
+    });
+
+    const { rules, cwes } = buildRuleInventory(current, activeRepos);
+    const totals = rules.reduce((sum, rule) => ({
+        open: sum.open + rule.open,
+        fixed: sum.fixed + rule.fixed,
+        dismissed: sum.dismissed + rule.dismissed
+    }), { open: 0, fixed: 0, dismissed: 0 });
+    const output = {
+        metadata: {
+            lastUpdated: new Date().toISOString(),
+            version: '1.0',
+            totalRules: rules.length,
+            totalCwes: cwes.length,
+            ...totals,
+            fixRate: getFixRate(totals)
+        },
+        rules: rules,
+        cwes: cwes
+    };
+
+    fs.writeFileSync(file, JSON.stringify(output));
+    console.log(`🧭 Saved ${rules.length} code scanning rules (${cwes.length} CWEs) to ${file}`);
+}
+
+/**
+ * Get the API path of the rel="next" page from a Link header (null on the last page)
+ */
+function getNextPagePath(linkHeader) {
+    const match = /<([^>]+)>;\s*rel="next"/.exec(linkHeader || '');
+    if (!match) return null;
+    const apiBase = getApiBase();
+    if (match[1].startsWith(apiBase)) {
+        return match[1].slice(apiBase.length);
+    }
+    const url = new URL(match[1]);
+    return `${url.pathname}${url.search}`;
+}
+
+/**
+ * Fetch every page of one tool's alerts for a repository, for all states
+ */
+async function fetchRepoAlertPages(owner, repo, tool, token, cache) {
+    const { path: toolPath, states } = ALERT_TOOLS[tool];
+    const alerts = [];
+
+    for (const state of states) {
+        let page = 1;
+        let hasMore = true;
+        while (hasMore) {
+            try {
+                const { data: response } = await githubCachedRequest(
+                    `/repos/${owner}/${repo}/${toolPath}/alerts?state=${state}&per_page=100&page=${page}`,
+                    token,
+                    cache
+                );
+
+                if (Array.isArray(response)) {
+                    alerts.push(...response);
+                    hasMore = response.length === 100;
+                    page++;
+                } else {
+                    hasMore = false;
+                }
+            } catch (error) {
+                // Feature not enabled or no access for this state
+                if (error.statusCode === 404 || error.statusCode === 403) {
+                    hasMore = false;
+                } else {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    return alerts;
+}
+
+/**
+ * Fetch one tool's alerts for a whole organization, grouped by lowercase repository full name
+ *
+ * Returns null when the org endpoint is forbidden or unavailable, so repos fall back to per-repo requests.
+ */
+async function fetchOrganizationAlerts(org, tool, token, cache) {
+    const { path: toolPath, states } = ALERT_TOOLS[tool];
+    const alertsByRepo = new Map();
+    let total = 0;
+
+    try {
+        for (const state of states) {
+            // Org endpoints paginate with cursors, so follow the Link header instead of counting pages
+            let nextPath = `/orgs/${org}/${toolPath}/alerts?state=${state}&per_page=100`;
+            while (nextPath) {
+                const { data: response, headers } = await githubCachedRequest(nextPath, token, cache);
+                if (!Array.isArray(response)) break;
+
+                response.forEach(alert => {
+                    const key = (alert.repository?.full_name || '').toLowerCase();
+                    if (!alertsByRepo.has(key)) {
+                        alertsByRepo.set(key, []);
+                    }
+                    alertsByRepo.get(key).push(alert);
+                });
+                total += response.length;
+                nextPath = getNextPagePath(headers.link);
+            }
+        }
+    } catch (error) {
+        if (error.statusCode === 403 || error.statusCode === 404) {
+            console.log(`   ⚠️  Org-level ${toolPath} alerts not available (${error.statusCode}), falling back to per-repo requests`);
+            return null;
+        }
+        throw error;
+    }
+
+    console.log(`   ✅ ${toolPath}: ${total} alerts across ${alertsByRepo.size} repositories`);
+    return alertsByRepo;
+}
+
+// Repository fields fetched by the GraphQL metadata fetcher (HEAD: is the default branch)
+const REPOSITORY_METADATA_FRAGMENT = `
+fragment RepositoryMetadata on Repository {
+    name
+    description
+    url
+    primaryLanguage { name }
+    repositoryTopics(first: 50) { nodes { topic { name } } }
+    createdAt
+    updatedAt
+    pushedAt
+    isArchived
+    archivedAt
+    visibility
+    isFork
+    isTemplate
+    isDisabled
+    defaultBranchRef { name }
+    stargazerCount
+    forkCount
+    issues(states: OPEN) { totalCount }
+    pullRequests(states: OPEN) { totalCount }
+    codeownersGithub: object(expression: "HEAD:.github/CODEOWNERS") { ... on Blob { text } }
+    codeownersRoot: object(expression: "HEAD:CODEOWNERS") { ... on Blob { text } }
+    codeownersDocs: object(expression: "HEAD:docs/CODEOWNERS") { ... on Blob { text } }
+}`;
+
+/**
+ * Build a GraphQL query for a batch of repositories of one owner (aliased r0, r1, ...)
+ */
+function buildRepositoryMetadataQuery(count) {
+    const variables = ['$owner: String!'];
+    const fields = [];
+    for (let i = 0; i < count; i++) {
+        variables.push(`$name${i}: String!`);
+        fields.push(`    r${i}: repository(owner: $owner, name: $name${i}) { ...RepositoryMetadata }`);
+    }
+    return `query RepositoryMetadataBatch(${variables.join(', ')}) {\n${fields.join('\n')}\n}\n${REPOSITORY_METADATA_FRAGMENT}`;
+}
+
+/**
+ * Convert a GraphQL repository node to the REST repository shape enrichRepository reads
+ */
+function toRestRepository(node) {
+    // Same lookup order as GitHub: .github/, root, docs/
+    const codeownersFile = [
+        ['.github/CODEOWNERS', node.codeownersGithub],
+        ['CODEOWNERS', node.codeownersRoot],
+        ['docs/CODEOWNERS', node.codeownersDocs]
+    ].find(([, blob]) => blob);
+
+    return {
+        name: node.name,
+        description: node.description,
+        html_url: node.url,
+        language: node.primaryLanguage ? node.primaryLanguage.name : null,
+        topics: (node.repositoryTopics?.nodes || []).map(topicNode => topicNode.topic.name),
+        created_at: node.createdAt,
+        updated_at: node.updatedAt,
+        pushed_at: node.pushedAt,
+        archived: node.isArchived,
+        archived_at: node.archivedAt,
+        visibility: node.visibility ? node.visibility.toLowerCase() : null,
+        fork: node.isFork,
+        is_template: node.isTemplate,
+        disabled: node.isDisabled,
+        default_branch: node.defaultBranchRef ? node.defaultBranchRef.name : null,
+        stargazers_count: node.stargazerCount,
+        forks_count: node.forkCount,
+        // REST counts open pull requests as issues
+        open_issues_count: (node.issues?.totalCount || 0) + (node.pullRequests?.totalCount || 0),
+        codeowners: Boolean(codeownersFile),
+        codeownersFile: codeownersFile ? { path: codeownersFile[0], text: codeownersFile[1].text || '' } : null,
+    };
+}
+
+/**
+ * Fetch repository metadata with batched GraphQL queries, keyed by lowercase full name
+ *
+ * Repos missing from the result (failed batch, deleted since listing) fall back to REST in enrichRepository.
+ */
+async function fetchRepositoryMetadata(org, repos, token) {
+    const metadata = new Map();
+    const batchSize = CONFIG.graphql.batchSize;
+
+    for (let i = 0; i < repos.length; i += batchSize) {
+        const batch = repos.slice(i, i + batchSize);
+        const variables = { owner: org };
+        batch.forEach((repo, index) => {
+            variables[`name${index}`] = repo.name;
+        });
+
+        try {
+            const response = await githubRequest('POST', '/graphql', {
+                query: buildRepositoryMetadataQuery(batch.length),
+                variables: variables
+            }, token);
+
+            batch.forEach((repo, index) => {
+                const node = response?.data?.[`r${index}`];
+                if (node) {
+                    metadata.set(`${repo.owner.login}/${repo.name}`.toLowerCase(), toRestRepository(node));
+                }
+            });
+
+            if (response?.errors?.length) {
+                console.warn(`⚠️  GraphQL metadata batch returned ${response.errors.length} error(s): ${response.errors[0].message}`);
+            }
+        } catch (error) {
+            console.warn(`⚠️  GraphQL metadata batch failed (${error.message}), falling back to REST for ${batch.length} repos`);
+        }
+    }
+
+    console.log(`   ✅ GraphQL metadata: ${metadata.size}/${repos.length} repositories`);
+    return metadata;
+}
+
+/**
+ * Fetch custom property values for every repository of an organization, keyed by lowercase full name
+ *
+ * Returns null when the endpoint is forbidden or unavailable, so repos fall back to per-repo requests.
+ */
+async function fetchOrganizationPropertyValues(org, token, cache) {
+    const propertiesByRepo = new Map();
+
+    try {
+        let nextPath = `/orgs/${org}/properties/values?per_page=100`;
+        while (nextPath) {
+            const { data: response, headers } = await githubCachedRequest(nextPath, token, cache);
+            if (!Array.isArray(response)) break;
+
+            response.forEach(entry => {
+                propertiesByRepo.set((entry.repository_full_name || '').toLowerCase(), entry.properties || []);
+            });
+            nextPath = getNextPagePath(headers.link);
+        }
+    } catch (error) {
+        if (error.statusCode === 403 || error.statusCode === 404) {
+            console.log(`   ⚠️  Org-level custom properties not available (${error.statusCode}), falling back to per-repo requests`);
+            return null;
+        }
+        throw error;
+    }
+
+    console.log(`   ✅ Custom properties: ${propertiesByRepo.size} repositories`);
+    return propertiesByRepo;
+}
+
+/**
+ * Fetch CODEQL/Code Scanning alerts for a repository
+ */
+async function fetchCodeScanningAlerts(owner, repo, token, cache = null, prefetchedAlerts = null) {
+    try {
+        const alerts = prefetchedAlerts || await fetchRepoAlertPages(owner, repo, 'codeScanning', token, cache);
+        const thirtyDaysAgo = new Date();
+        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+
+        // Calculate opened/closed in last 30 days
+        // Track opened/closed by severity
+        const openedBySeverity = { critical: 0, high: 0, medium: 0, low: 0, info: 0 };
+        const closedBySeverity = { critical: 0, high: 0, medium: 0, low: 0, info: 0 };
+
+        alerts.forEach(alert => {
+            const severity = (alert.rule?.security_severity_level || alert.rule?.severity || 'medium').toLowerCase();
+            const severityKey = ['critical', 'high', 'medium', 'low', 'info'].includes(severity) ? severity : 'medium';
+            
+            // Check if opened in last 30 days
+            if (alert.created_at) {
+                const created = new Date(alert.created_at);
+                if (created >= thirtyDaysAgo) {
+                    openedBySeverity[severityKey]++;
+                }
+            }
+            // Check if fixed/dismissed in last 30 days
+            const resolution = getAlertResolution('codeScanning', alert);
+            if (resolution && resolution.closedAt) {
+                const closed = new Date(resolution.closedAt);
+                if (closed >= thirtyDaysAgo) {
+                    closedBySeverity[severityKey]++;
+                }
+            }
+        });
+
+        // Filter only open alerts for severity counts
+        const openAlerts = alerts.filter(a => a.state === 'open');
+
+        // Calculate vulnerability aging (for open alerts)
+        const now = new Date();
         let oldestAge = 0;
         let totalAge = 0;
         const ageBuckets = { '0-7': 0, '8-30': 0, '31-90': 0, '91-180': 0, '180+': 0 };
@@ -440,23 +2205,13 @@ async function fetchCodeScanningAlerts(owner, repo, token) {
         
         const averageAge = openAlerts.length > 0 ? Math.round(totalAge / openAlerts.length) : 0;
 
-        // Calculate MTTR (Mean Time to Remediate) from closed alerts
-        let totalRemediationTime = 0;
-        let remediationCount = 0;
-        
-        closedAlerts.forEach(alert => {
-            if (alert.created_at && (alert.closed_at || alert.dismissed_at)) {
-                const created = new Date(alert.created_at);
-                const closed = new Date(alert.closed_at || alert.dismissed_at);
-                const daysToRemediate = Math.floor((closed - created) / (1000 * 60 * 60 * 24));
-                if (daysToRemediate >= 0) {
-                    totalRemediationTime += daysToRemediate;
-                    remediationCount++;
-                }
-            }
-        });
-        
-        const mttr = remediationCount > 0 ? Math.round(totalRemediationTime / remediationCount) : 0;
+        // MTTR (Mean Time to Remediate) from fixed alerts; dismissals are counted separately
+        const mttr = getMeanTimeToFix('codeScanning', alerts);
+        const getSeverity = alert => {
+            const severity = (alert.rule?.security_severity_level || alert.rule?.severity || 'medium').toLowerCase();
+            return ['critical', 'high', 'medium', 'low', 'info'].includes(severity) ? severity : 'medium';
+        };
+        const resolutions = countResolutions('codeScanning', alerts, thirtyDaysAgo, getSeverity);
 
         // Aggregate by severity (only open alerts)
         const summary = {
@@ -481,16 +2236,24 @@ async function fetchCodeScanningAlerts(owner, repo, token) {
             closedLast30Days: closedBySeverity.critical + closedBySeverity.high + closedBySeverity.medium + closedBySeverity.low + closedBySeverity.info,
             openedLast30DaysBySeverity: openedBySeverity,
             closedLast30DaysBySeverity: closedBySeverity,
+            ...resolutions,
             aging: {
                 oldestAge: oldestAge,
                 averageAge: averageAge,
                 ageBuckets: ageBuckets
             },
             mttr: mttr,
+            remediationDays: getRemediationDays('codeScanning', alerts, getSeverity),
             lastUpdated: alerts.length > 0 ? alerts[0].updated_at : null,
             enabled: true
         };
 
+        if (CONFIG.alertDetails.enabled) {
+            summary.details = buildAlertDetails('codeScanning', alerts);
+        }
+        // Rule breakdown (data/code-scanning-rules.json), moved out of the record by enrichRepository
+        summary.rules = buildRuleFindings(alerts);
+
         return summary;
     } catch (error) {
         // Handle 403 (not enabled) or 404 (not found) gracefully
@@ -518,45 +2281,12 @@ async function fetchCodeScanningAlerts(owner, repo, token) {
 /**
  * Fetch Dependabot alerts for a repository
  */
-async function fetchDependabotAlerts(owner, repo, token) {
+async function fetchDependabotAlerts(owner, repo, token, cache = null, prefetchedAlerts = null) {
     try {
-        const alerts = [];
-        let page = 1;
-        let hasMore = true;
+        const alerts = prefetchedAlerts || await fetchRepoAlertPages(owner, repo, 'dependabot', token, cache);
         const thirtyDaysAgo = new Date();
         thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
-        // Fetch all alert states to track opened/closed in last 30 days
-        const states = ['open', 'dismissed', 'fixed', 'auto_dismissed'];
-        for (const state of states) {
-            page = 1;
-            hasMore = true;
-            while (hasMore) {
-                try {
-                    const response = await githubRequest(
-                        'GET',
-                        `/repos/${owner}/${repo}/dependabot/alerts?state=${state}&per_page=100&page=${page}`,
-                        null,
-                        token
-                    );
-                    
-                    if (Array.isArray(response)) {
-                        alerts.push(...response);
-                        hasMore = response.length === 100;
-                        page++;
-                    } else {
-                        hasMore = false;
-                    }
-                } catch (error) {
-                    if (error.statusCode === 404 || error.statusCode === 403) {
-                        hasMore = false;
-                    } else {
-                        throw error;
-                    }
-                }
-            }
-        }
-
         // Calculate opened/closed in last 30 days
         // Track opened/closed by severity
         const openedBySeverity = { critical: 0, high: 0, medium: 0, low: 0, info: 0 };
@@ -573,10 +2303,10 @@ async function fetchDependabotAlerts(owner, repo, token) {
                     openedBySeverity[severityKey]++;
                 }
             }
-            // Check if closed/fixed/dismissed in last 30 days
-            const closedDate = alert.dismissed_at || alert.fixed_at;
-            if (closedDate) {
-                const closed = new Date(closedDate);
+            // Check if fixed/dismissed in last 30 days
+            const resolution = getAlertResolution('dependabot', alert);
+            if (resolution && resolution.closedAt) {
+                const closed = new Date(resolution.closedAt);
                 if (closed >= thirtyDaysAgo) {
                     closedBySeverity[severityKey]++;
                 }
@@ -585,7 +2315,6 @@ async function fetchDependabotAlerts(owner, repo, token) {
 
         // Filter only open alerts for severity counts
         const openAlerts = alerts.filter(a => a.state === 'open');
-        const closedAlerts = alerts.filter(a => a.state === 'dismissed' || a.state === 'fixed');
 
         // Calculate vulnerability aging (for open alerts)
         const now = new Date();
@@ -610,23 +2339,13 @@ async function fetchDependabotAlerts(owner, repo, token) {
         
         const averageAge = openAlerts.length > 0 ? Math.round(totalAge / openAlerts.length) : 0;
 
-        // Calculate MTTR (Mean Time to Remediate) from closed alerts
-        let totalRemediationTime = 0;
-        let remediationCount = 0;
-        
-        closedAlerts.forEach(alert => {
-            if (alert.created_at && (alert.dismissed_at || alert.fixed_at)) {
-                const created = new Date(alert.created_at);
-                const closed = new Date(alert.dismissed_at || alert.fixed_at);
-                const daysToRemediate = Math.floor((closed - created) / (1000 * 60 * 60 * 24));
-                if (daysToRemediate >= 0) {
-                    totalRemediationTime += daysToRemediate;
-                    remediationCount++;
-                }
-            }
-        });
-        
-        const mttr = remediationCount > 0 ? Math.round(totalRemediationTime / remediationCount) : 0;
+        // MTTR (Mean Time to Remediate) from fixed alerts; dismissals are counted separately
+        const mttr = getMeanTimeToFix('dependabot', alerts);
+        const getSeverity = alert => {
+            const severity = (alert.security_advisory?.severity || 'medium').toLowerCase();
+            return ['critical', 'high', 'medium', 'low', 'info'].includes(severity) ? severity : 'medium';
+        };
+        const resolutions = countResolutions('dependabot', alerts, thirtyDaysAgo, getSeverity);
 
         // Aggregate by severity (only open alerts)
         const ecosystems = new Set();
@@ -659,16 +2378,24 @@ async function fetchDependabotAlerts(owner, repo, token) {
             closedLast30Days: closedBySeverity.critical + closedBySeverity.high + closedBySeverity.medium + closedBySeverity.low + closedBySeverity.info,
             openedLast30DaysBySeverity: openedBySeverity,
             closedLast30DaysBySeverity: closedBySeverity,
+            ...resolutions,
             aging: {
                 oldestAge: oldestAge,
                 averageAge: averageAge,
                 ageBuckets: ageBuckets
             },
             mttr: mttr,
+            remediationDays: getRemediationDays('dependabot', alerts, getSeverity),
             lastUpdated: alerts.length > 0 ? alerts[0].updated_at : null,
             enabled: true
         };
 
+        if (CONFIG.alertDetails.enabled) {
+            summary.details = buildAlertDetails('dependabot', alerts);
+        }
+        // Package inventory (data/packages.json), moved out of the record by enrichRepository
+        summary.packages = buildPackageFindings(openAlerts);
+
         return summary;
     } catch (error) {
         if (error.statusCode === 403 || error.statusCode === 404) {
@@ -696,45 +2423,12 @@ async function fetchDependabotAlerts(owner, repo, token) {
 /**
  * Fetch Secret Scanning alerts for a repository
  */
-async function fetchSecretScanningAlerts(owner, repo, token) {
+async function fetchSecretScanningAlerts(owner, repo, token, cache = null, prefetchedAlerts = null) {
     try {
-        const alerts = [];
-        let page = 1;
-        let hasMore = true;
+        const alerts = prefetchedAlerts || await fetchRepoAlertPages(owner, repo, 'secretScanning', token, cache);
         const thirtyDaysAgo = new Date();
         thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
-        // Fetch both open and resolved alerts to track opened/closed in last 30 days
-        const states = ['open', 'resolved'];
-        for (const state of states) {
-            page = 1;
-            hasMore = true;
-            while (hasMore) {
-                try {
-                    const response = await githubRequest(
-                        'GET',
-                        `/repos/${owner}/${repo}/secret-scanning/alerts?state=${state}&per_page=100&page=${page}`,
-                        null,
-                        token
-                    );
-                    
-                    if (Array.isArray(response)) {
-                        alerts.push(...response);
-                        hasMore = response.length === 100;
-                        page++;
-                    } else {
-                        hasMore = false;
-                    }
-                } catch (error) {
-                    if (error.statusCode === 404 || error.statusCode === 403) {
-                        hasMore = false;
-                    } else {
-                        throw error;
-                    }
-                }
-            }
-        }
-
         // Calculate opened/closed in last 30 days
         let openedLast30Days = 0;
         let closedLast30Days = 0;
@@ -758,7 +2452,6 @@ async function fetchSecretScanningAlerts(owner, repo, token) {
 
         // Filter only open alerts for secret type counts
         const openAlerts = alerts.filter(a => a.state === 'open');
-        const closedAlerts = alerts.filter(a => a.state === 'resolved');
 
         // Calculate vulnerability aging (for open alerts)
         const now = new Date();
@@ -783,23 +2476,9 @@ async function fetchSecretScanningAlerts(owner, repo, token) {
         
         const averageAge = openAlerts.length > 0 ? Math.round(totalAge / openAlerts.length) : 0;
 
-        // Calculate MTTR (Mean Time to Remediate) from closed alerts
-        let totalRemediationTime = 0;
-        let remediationCount = 0;
-        
-        closedAlerts.forEach(alert => {
-            if (alert.created_at && alert.resolved_at) {
-                const created = new Date(alert.created_at);
-                const resolved = new Date(alert.resolved_at);
-                const daysToRemediate = Math.floor((resolved - created) / (1000 * 60 * 60 * 24));
-                if (daysToRemediate >= 0) {
-                    totalRemediationTime += daysToRemediate;
-                    remediationCount++;
-                }
-            }
-        });
-        
-        const mttr = remediationCount > 0 ? Math.round(totalRemediationTime / remediationCount) : 0;
+        // MTTR (Mean Time to Remediate) from revoked secrets; other resolutions are dismissals
+        const mttr = getMeanTimeToFix('secretScanning', alerts);
+        const resolutions = countResolutions('secretScanning', alerts, thirtyDaysAgo, () => null);
 
         // Aggregate by secret type (only open alerts)
         const secretTypes = {};
@@ -808,55 +2487,578 @@ async function fetchSecretScanningAlerts(owner, repo, token) {
             secretTypes[type] = (secretTypes[type] || 0) + 1;
         });
 
-        return {
-            total: openAlerts.length,
-            secretTypes: secretTypes,
-            openedLast30Days: openedLast30Days,
-            closedLast30Days: closedLast30Days,
-            openedLast30DaysBySeverity: { critical: 0, high: 0, medium: 0, low: 0, info: 0 }, // Secrets don't have severity
-            closedLast30DaysBySeverity: { critical: 0, high: 0, medium: 0, low: 0, info: 0 }, // Secrets don't have severity
-            aging: {
-                oldestAge: oldestAge,
-                averageAge: averageAge,
-                ageBuckets: ageBuckets
-            },
-            mttr: mttr,
-            lastUpdated: alerts.length > 0 ? alerts[0].updated_at : null,
-            enabled: true
-        };
-    } catch (error) {
-        if (error.statusCode === 403 || error.statusCode === 404) {
-            return { 
-                total: 0, 
-                secretTypes: {}, 
-                openedLast30Days: 0, 
-                closedLast30Days: 0,
-                openedLast30DaysBySeverity: { critical: 0, high: 0, medium: 0, low: 0, info: 0 },
-                closedLast30DaysBySeverity: { critical: 0, high: 0, medium: 0, low: 0, info: 0 },
-                aging: { oldestAge: 0, averageAge: 0, ageBuckets: { '0-7': 0, '8-30': 0, '31-90': 0, '91-180': 0, '180+': 0 } },
-                mttr: 0,
-                lastUpdated: null, 
-                enabled: false 
-            };
+        const summary = {
+            total: openAlerts.length,
+            secretTypes: secretTypes,
+            openedLast30Days: openedLast30Days,
+            closedLast30Days: closedLast30Days,
+            openedLast30DaysBySeverity: { critical: 0, high: 0, medium: 0, low: 0, info: 0 }, // Secrets don't have severity
+            closedLast30DaysBySeverity: { critical: 0, high: 0, medium: 0, low: 0, info: 0 }, // Secrets don't have severity
+            ...resolutions,
+            aging: {
+                oldestAge: oldestAge,
+                averageAge: averageAge,
+                ageBuckets: ageBuckets
+            },
+            mttr: mttr,
+            remediationDays: getRemediationDays('secretScanning', alerts, () => null),
+            lastUpdated: alerts.length > 0 ? alerts[0].updated_at : null,
+            enabled: true
+        };
+
+        if (CONFIG.alertDetails.enabled) {
+            summary.details = buildAlertDetails('secretScanning', alerts);
+        }
+
+        return summary;
+    } catch (error) {
+        if (error.statusCode === 403 || error.statusCode === 404) {
+            return { 
+                total: 0, 
+                secretTypes: {}, 
+                openedLast30Days: 0, 
+                closedLast30Days: 0,
+                openedLast30DaysBySeverity: { critical: 0, high: 0, medium: 0, low: 0, info: 0 },
+                closedLast30DaysBySeverity: { critical: 0, high: 0, medium: 0, low: 0, info: 0 },
+                aging: { oldestAge: 0, averageAge: 0, ageBuckets: { '0-7': 0, '8-30': 0, '31-90': 0, '91-180': 0, '180+': 0 } },
+                mttr: 0,
+                lastUpdated: null, 
+                enabled: false 
+            };
+        }
+        throw error;
+    }
+}
+
+// CODEOWNERS locations, in the order GitHub looks for them
+const CODEOWNERS_PATHS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+// Patterns that match every file (their owners are the repository's default owners)
+const CODEOWNERS_CATCH_ALL_PATTERNS = ['*', '**', '/**', '/**/*'];
+
+// Team existence/membership checks, shared by all repos of a run ("org/slug" -> Promise of status).
+// Cleared by every syncRepositories call, so the webhook receiver's process sees new and filled teams.
+const teamStatusCache = new Map();
+
+/**
+ * Parse a CODEOWNERS file into ordered rules ({ pattern, owners, line })
+ *
+ * Later rules win over earlier ones for the same file, like on GitHub. A rule without owners
+ * is kept: it removes ownership for the paths it matches.
+ */
+function parseCodeowners(text) {
+    const rules = [];
+    (text || '').split(/\r?\n/).forEach((rawLine, index) => {
+        // "#" starts a comment unless escaped ("\#" in a pattern)
+        const line = rawLine.replace(/(^|[^\\])#.*$/, '$1').trim();
+        if (!line) return;
+
+        const [pattern, ...owners] = line.split(/\s+/);
+        rules.push({ pattern: pattern.replace(/\\#/g, '#'), owners, line: index + 1 });
+    });
+    return rules;
+}
+
+/**
+ * Split parsed CODEOWNERS rules into default owners and per-path owners (last match wins)
+ *
+ * @returns {Object} { defaultOwners, pathOwners: [{ pattern, owners }] } in file order
+ */
+function summarizeCodeowners(rules) {
+    let defaultOwners = [];
+    const pathRules = new Map();
+
+    rules.forEach(rule => {
+        if (CODEOWNERS_CATCH_ALL_PATTERNS.includes(rule.pattern)) {
+            // A later catch-all replaces the default and every path rule before it
+            defaultOwners = rule.owners;
+            pathRules.clear();
+        } else {
+            // The same pattern again overrides the earlier entry
+            pathRules.delete(rule.pattern);
+            pathRules.set(rule.pattern, rule.owners);
+        }
+    });
+
+    return {
+        defaultOwners,
+        pathOwners: Array.from(pathRules, ([pattern, owners]) => ({ pattern, owners }))
+    };
+}
+
+/**
+ * Check a team referenced by CODEOWNERS: 'ok', 'missing', 'empty', or null when it can't be checked
+ */
+function getTeamStatus(org, slug, token, cache) {
+    const key = `${org}/${slug}`.toLowerCase();
+    if (!teamStatusCache.has(key)) {
+        teamStatusCache.set(key, (async () => {
+            try {
+                await githubCachedRequest(`/orgs/${org}/teams/${encodeURIComponent(slug)}`, token, cache);
+            } catch (error) {
+                if (error.statusCode === 404) return 'missing';
+                return null; // No members:read permission, or a transient error
+            }
+            try {
+                const { data: members } = await githubCachedRequest(
+                    `/orgs/${org}/teams/${encodeURIComponent(slug)}/members?per_page=1`,
+                    token,
+                    cache
+                );
+                return Array.isArray(members) && members.length === 0 ? 'empty' : 'ok';
+            } catch (error) {
+                return null;
+            }
+        })());
+    }
+    return teamStatusCache.get(key);
+}
+
+/**
+ * Find CODEOWNERS entries whose owners are malformed or teams of this org that don't exist or have no members
+ *
+ * @returns {Promise<Array>} [{ line, owner, problem: 'invalid' | 'missing' | 'empty' }]
+ */
+async function findCodeownersIssues(org, rules, token, cache) {
+    const issues = [];
+    for (const rule of rules) {
+        for (const owner of rule.owners) {
+            // @user, @org/team or an email address
+            const team = owner.match(/^@([^/\s]+)\/(\S+)$/);
+            if (!team) {
+                if (!/^@[\w-]+$/.test(owner) && !/^[^@\s]+@[^@\s]+$/.test(owner)) {
+                    issues.push({ line: rule.line, owner, problem: 'invalid' });
+                }
+                continue;
+            }
+            // Teams of other organizations can't be checked with this installation
+            if (team[1].toLowerCase() !== org.toLowerCase()) continue;
+
+            const status = await getTeamStatus(org, team[2], token, cache);
+            if (status === 'missing' || status === 'empty') {
+                issues.push({ line: rule.line, owner, problem: status });
+            }
+        }
+    }
+    return issues;
+}
+
+/**
+ * Parse a repository's CODEOWNERS file ({ path, text }) into the fields stored on its record
+ */
+async function getCodeownersInfo(org, file, token, cache) {
+    const rules = parseCodeowners(file.text);
+    const { defaultOwners, pathOwners } = summarizeCodeowners(rules);
+    return {
+        codeownersPath: file.path,
+        defaultOwners,
+        pathOwners,
+        codeownersIssues: await findCodeownersIssues(org, rules, token, cache)
+    };
+}
+
+/**
+ * Combine classic branch protection and the ruleset rules that apply to a branch into one summary
+ *
+ * Either source can enforce a control; the stricter setting wins.
+ *
+ * @param {Object|null} protection - GET /repos/{owner}/{repo}/branches/{branch}/protection (null if unprotected)
+ * @param {Array} rules - GET /repos/{owner}/{repo}/rules/branches/{branch}
+ */
+function summarizeBranchProtection(branch, protection, rules) {
+    const summary = {
+        branch,
+        protected: Boolean(protection),
+        rulesets: [...new Set(rules.map(rule => rule.ruleset_id).filter(id => id !== undefined))],
+        requiredApprovals: 0,
+        codeOwnerReviews: false,
+        statusChecks: [],
+        signedCommits: false,
+        forcePushBlocked: false,
+        deletionBlocked: false,
+    };
+
+    if (protection) {
+        const reviews = protection.required_pull_request_reviews;
+        if (reviews) {
+            summary.requiredApprovals = reviews.required_approving_review_count || 0;
+            summary.codeOwnerReviews = Boolean(reviews.require_code_owner_reviews);
+        }
+        const checks = protection.required_status_checks;
+        if (checks) {
+            summary.statusChecks.push(...(checks.contexts || []), ...(checks.checks || []).map(check => check.context));
+        }
+        summary.signedCommits = Boolean(protection.required_signatures && protection.required_signatures.enabled);
+        // Classic protection blocks force pushes and deletions unless explicitly allowed
+        summary.forcePushBlocked = !(protection.allow_force_pushes && protection.allow_force_pushes.enabled);
+        summary.deletionBlocked = !(protection.allow_deletions && protection.allow_deletions.enabled);
+    }
+
+    rules.forEach(rule => {
+        const parameters = rule.parameters || {};
+        switch (rule.type) {
+            case 'pull_request':
+                summary.requiredApprovals = Math.max(summary.requiredApprovals, parameters.required_approving_review_count || 0);
+                summary.codeOwnerReviews = summary.codeOwnerReviews || Boolean(parameters.require_code_owner_review);
+                break;
+            case 'required_status_checks':
+                summary.statusChecks.push(...(parameters.required_status_checks || []).map(check => check.context));
+                break;
+            case 'required_signatures':
+                summary.signedCommits = true;
+                break;
+            case 'non_fast_forward':
+                summary.forcePushBlocked = true;
+                break;
+            case 'deletion':
+                summary.deletionBlocked = true;
+                break;
+        }
+    });
+
+    summary.statusChecks = [...new Set(summary.statusChecks.filter(Boolean))];
+    return summary;
+}
+
+/**
+ * Check a branch protection summary against CONFIG.compliance
+ *
+ * @param {boolean} complete - false when classic protection couldn't be read (missing Administration permission):
+ *   failed checks may be enforced there, so the result is 'unknown' instead of 'non-compliant'
+ * @returns {Object} { status: 'compliant' | 'non-compliant' | 'unknown', score (0-100, % of checks passed), failedChecks }
+ */
+function evaluateCompliance(summary, complete = true, requirements = CONFIG.compliance) {
+    const checks = [];
+    if (requirements.requiredApprovals > 0) {
+        checks.push(['requiredReviews', summary.requiredApprovals >= requirements.requiredApprovals]);
+    }
+    if (requirements.requireStatusChecks) checks.push(['statusChecks', summary.statusChecks.length > 0]);
+    if (requirements.requireSignedCommits) checks.push(['signedCommits', summary.signedCommits]);
+    if (requirements.blockForcePushes) checks.push(['forcePushBlocked', summary.forcePushBlocked]);
+    if (requirements.blockDeletions) checks.push(['deletionBlocked', summary.deletionBlocked]);
+
+    const failedChecks = checks.filter(([, passed]) => !passed).map(([name]) => name);
+    let status = failedChecks.length === 0 ? 'compliant' : 'non-compliant';
+    if (status === 'non-compliant' && !complete) status = 'unknown';
+
+    return {
+        status,
+        score: checks.length > 0 ? Math.round(((checks.length - failedChecks.length) / checks.length) * 100) : 100,
+        failedChecks,
+    };
+}
+
+/**
+ * Fetch default-branch protection and rulesets and evaluate them ({ branchProtection, compliance })
+ */
+async function getBranchCompliance(owner, repo, branch, token, cache) {
+    if (!branch) {
+        // Empty repository: nothing to protect yet
+        return { branchProtection: null, compliance: { status: 'unknown', score: null, failedChecks: [] } };
+    }
+
+    const branchPath = encodeURIComponent(branch);
+    let protection = null;
+    let complete = true;
+    try {
+        ({ data: protection } = await githubCachedRequest(`/repos/${owner}/${repo}/branches/${branchPath}/protection`, token, cache));
+    } catch (error) {
+        // 404 means the branch has no classic protection; 403 means the App lacks Administration: read
+        if (error.statusCode !== 404) complete = false;
+    }
+
+    let rules = [];
+    try {
+        const { data } = await githubCachedRequest(`/repos/${owner}/${repo}/rules/branches/${branchPath}?per_page=100`, token, cache);
+        rules = Array.isArray(data) ? data : [];
+    } catch (error) {
+        if (error.statusCode !== 404) complete = false;
+    }
+
+    const branchProtection = summarizeBranchProtection(branch, protection, rules);
+    return { branchProtection, compliance: evaluateCompliance(branchProtection, complete) };
+}
+
+// Used when the ownership rules file doesn't exist
+const DEFAULT_OWNERSHIP_RULES = {
+    pod: [
+        { id: 'property-pod', type: 'property', names: ['Pod', 'pod', 'POD'] },
+        { id: 'topic-pod-prefix', type: 'topic', pattern: '^pod[-:](.+)$', flags: 'i', case: 'title' }
+    ],
+    environmentType: { names: ['EnvironmentType', 'environmentType', 'ENVIRONMENTTYPE'] },
+    vertical: { pattern: '^(.+)-[^-]+$' }
+};
+
+const OWNERSHIP_RULE_TYPES = ['property', 'topic', 'name'];
+
+/**
+ * Compile a rule pattern, naming the rule in the error
+ */
+function compileRulePattern(pattern, flags, where) {
+    if (typeof pattern !== 'string' || !pattern) {
+        throw new Error(`${where}: "pattern" must be a non-empty string`);
+    }
+    try {
+        return new RegExp(pattern, flags || '');
+    } catch (error) {
+        throw new Error(`${where}: invalid pattern ${JSON.stringify(pattern)} (${error.message})`);
+    }
+}
+
+/**
+ * Load and validate the ownership rules file, compiling its patterns
+ */
+function loadOwnershipRules(file = CONFIG.ownershipRulesFile) {
+    let rules = DEFAULT_OWNERSHIP_RULES;
+    if (fs.existsSync(file)) {
+        try {
+            rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid ownership rules file ${file}: ${error.message}`);
+        }
+    } else {
+        console.warn(`⚠️  Ownership rules file not found (${file}), using built-in defaults`);
+    }
+
+    if (!Array.isArray(rules.pod)) {
+        throw new Error(`Invalid ownership rules file ${file}: "pod" must be an array of rules`);
+    }
+
+    const seenIds = new Set();
+    const pod = rules.pod.map((rule, index) => {
+        const where = `Ownership rule #${index + 1}${rule && rule.id ? ` (${rule.id})` : ''} in ${file}`;
+        if (!rule || typeof rule.id !== 'string' || !rule.id) {
+            throw new Error(`${where}: "id" is required`);
+        }
+        if (seenIds.has(rule.id)) {
+            throw new Error(`${where}: duplicate id`);
+        }
+        seenIds.add(rule.id);
+        if (!OWNERSHIP_RULE_TYPES.includes(rule.type)) {
+            throw new Error(`${where}: "type" must be one of ${OWNERSHIP_RULE_TYPES.join(', ')}`);
+        }
+        if (rule.case && !['upper', 'lower', 'title'].includes(rule.case)) {
+            throw new Error(`${where}: "case" must be upper, lower or title`);
+        }
+
+        if (rule.type === 'property') {
+            if (!Array.isArray(rule.names) || rule.names.length === 0) {
+                throw new Error(`${where}: "names" must list at least one custom property name`);
+            }
+            return { ...rule, regex: rule.pattern ? compileRulePattern(rule.pattern, rule.flags, where) : null };
+        }
+        return { ...rule, regex: compileRulePattern(rule.pattern, rule.flags, where) };
+    });
+
+    const vertical = rules.vertical && rules.vertical.pattern
+        ? { regex: compileRulePattern(rules.vertical.pattern, rules.vertical.flags, `Vertical pattern in ${file}`) }
+        : null;
+
+    return {
+        file,
+        pod,
+        environmentTypeNames: (rules.environmentType && rules.environmentType.names) || DEFAULT_OWNERSHIP_RULES.environmentType.names,
+        vertical
+    };
+}
+
+/**
+ * Load and validate the sync config file, resolving secrets from the environment variables it names
+ *
+ * @param {string} file - explicit path (--config / SYNC_CONFIG must exist; the default file is optional)
+ * @returns {Object|null} { file, organizations, include, exclude, enrichers, rateLimit, maxConcurrent }, null without a file
+ */
+function loadSyncConfig(file = null) {
+    const configFile = file ? path.resolve(file) : CONFIG.syncConfigFile;
+    if (!fs.existsSync(configFile)) {
+        if (file || process.env.SYNC_CONFIG) {
+            throw new Error(`Sync config file not found: ${configFile}`);
+        }
+        return null;
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid sync config ${configFile}: ${error.message}`);
+    }
+
+    // Report every problem at once, before any API call
+    const schema = JSON.parse(fs.readFileSync(CONFIG.syncConfigSchemaFile, 'utf8'));
+    const problems = validateAgainstSchema(schema, config);
+    const compilePatterns = (patterns, where) => (patterns || []).map((pattern, index) => {
+        try {
+            return compileRulePattern(pattern, 'i', `${where}[${index}]`);
+        } catch (error) {
+            problems.push(error.message);
+            return null;
+        }
+    }).filter(Boolean);
+
+    const repositories = config.repositories || {};
+    const include = problems.length === 0 ? compilePatterns(repositories.include, '$.repositories.include') : [];
+    const exclude = problems.length === 0 ? compilePatterns(repositories.exclude, '$.repositories.exclude') : [];
+
+    const seenNames = new Set();
+    const organizations = problems.length > 0 ? [] : (config.organizations || []).map((org, index) => {
+        const where = `$.organizations[${index}] (${org.name})`;
+        if (seenNames.has(org.name.toLowerCase())) {
+            problems.push(`${where}: listed more than once`);
+        }
+        seenNames.add(org.name.toLowerCase());
+
+        const env = {
+            appId: org.appIdEnv || 'APP_ID',
+            privateKey: org.privateKeyEnv || 'APP_PRIVATE_KEY',
+            privateKeyBase64: org.privateKeyBase64Env || 'APP_PRIVATE_KEY_BASE64'
+        };
+        // Fixtures and the mock server don't need credentials
+        if (!transport.offline) {
+            if (!process.env[env.appId]) {
+                problems.push(`${where}: environment variable ${env.appId} (appIdEnv) is not set`);
+            }
+            if (!process.env[env.privateKey] && !process.env[env.privateKeyBase64]) {
+                problems.push(`${where}: neither ${env.privateKey} (privateKeyEnv) nor ${env.privateKeyBase64} (privateKeyBase64Env) is set`);
+            }
+        }
+
+        return {
+            name: org.name,
+            appId: process.env[env.appId],
+            privateKey: process.env[env.privateKey],
+            privateKeyBase64: process.env[env.privateKeyBase64],
+            apiBase: org.apiBase || null,
+            include: include.concat(compilePatterns(org.include, `$.organizations[${index}].include`)),
+            exclude: exclude.concat(compilePatterns(org.exclude, `$.organizations[${index}].exclude`))
+        };
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid sync config ${configFile}:\n${problems.map(problem => `   - ${problem}`).join('\n')}`);
+    }
+
+    return {
+        file: configFile,
+        organizations,
+        include,
+        exclude,
+        enrichers: config.enrichers || {},
+        rateLimit: config.rateLimit || {},
+        maxConcurrent: config.maxConcurrent || null
+    };
+}
+
+/**
+ * Attach the sync config's include/exclude patterns to organization configs from any source
+ *
+ * Orgs listed in the file get the top-level patterns plus their own; orgs from ORGS_CONFIG,
+ * ORGS_LIST, ORG_NAME or --org get the top-level patterns.
+ */
+function applyRepoFilters(orgConfigs, syncConfig) {
+    if (!syncConfig) return orgConfigs;
+    return orgConfigs.map(orgConfig => {
+        const configured = syncConfig.organizations.find(config => config.name === orgConfig.name);
+        return {
+            ...orgConfig,
+            include: configured ? configured.include : syncConfig.include,
+            exclude: configured ? configured.exclude : syncConfig.exclude
+        };
+    });
+}
+
+/**
+ * Whether a repository passes its organization's include/exclude patterns (sync config)
+ */
+function isRepoIncluded(name, orgConfig) {
+    const include = orgConfig.include || [];
+    const exclude = orgConfig.exclude || [];
+    return (include.length === 0 || include.some(regex => regex.test(name))) && !exclude.some(regex => regex.test(name));
+}
+
+/**
+ * Turn a rule match into a pod name: the "value" template ($1, $2...), else the first capture group, else the whole match
+ */
+function formatRuleMatch(rule, match) {
+    let value = rule.value
+        ? rule.value.replace(/\$(\d)/g, (_, n) => match[n] || '')
+        : (match[1] !== undefined ? match[1] : match[0]);
+    value = (value || '').trim();
+
+    if (rule.case === 'upper') return value.toUpperCase();
+    if (rule.case === 'lower') return value.toLowerCase();
+    if (rule.case === 'title') {
+        // "vertical3-pod2" -> "Vertical3-Pod2"
+        return value.toLowerCase().replace(/(^|[-_\s])([a-z])/g, (_, sep, ch) => sep + ch.toUpperCase());
+    }
+    return value;
+}
+
+/**
+ * Resolve pod, vertical and environment type with the ownership rules
+ *
+ * @param {Object} repo - { name, topics, customProperties } (custom properties as a name -> value object)
+ * @returns {Object} { pod, podRule, vertical, environmentType } (null when nothing matched)
+ */
+function resolveOwnership(repo, rules = ownershipRules) {
+    const properties = repo.customProperties || {};
+    const topics = repo.topics || [];
+    let pod = null;
+    let podRule = null;
+
+    for (const rule of rules.pod) {
+        let candidates;
+        if (rule.type === 'property') {
+            candidates = rule.names.map(name => properties[name]).filter(value => typeof value === 'string' && value.trim());
+        } else if (rule.type === 'topic') {
+            candidates = topics;
+        } else {
+            candidates = [repo.name || ''];
+        }
+
+        for (const candidate of candidates) {
+            if (!rule.regex) {
+                pod = candidate.trim();
+            } else {
+                const match = candidate.match(rule.regex);
+                pod = match ? formatRuleMatch(rule, match) : null;
+            }
+            if (pod) break;
+        }
+
+        if (pod) {
+            podRule = rule.id;
+            break;
         }
-        throw error;
     }
+
+    let vertical = null;
+    if (pod && rules.vertical) {
+        const match = pod.match(rules.vertical.regex);
+        vertical = match ? (match[1] !== undefined ? match[1] : match[0]) : null;
+    }
+
+    const environmentType = rules.environmentTypeNames.map(name => properties[name]).find(Boolean) || null;
+
+    return { pod, podRule, vertical, environmentType };
 }
 
 /**
  * Enrich repository data with additional metadata (always fetched to catch changes)
  */
-async function enrichRepository(repo, cache, token) {
-    const cacheKey = `${repo.owner.login}/${repo.name}`;
+async function enrichRepository(repo, cache, token, prefetched = {}) {
+    // Data fetched in bulk for the whole organization ({ alerts, metadata, properties }; missing parts are fetched per repo),
+    // plus archivedSnapshots: archived repos whose existing vulnerability snapshot is kept
+    const repoKey = `${repo.owner.login}/${repo.name}`.toLowerCase();
+    const metadata = prefetched.metadata ? prefetched.metadata.get(repoKey) : null;
 
     try {
-        // Always fetch detailed repo info to catch pod/codeowners changes
-        // Include custom properties in the response
-        const detailedRepo = await githubRequest(
-            'GET',
+        // Always request detailed repo info to catch pod/codeowners changes
+        // (conditional requests: unchanged endpoints answer 304 and reuse the cached body)
+        const { data: detailedRepo } = metadata ? { data: metadata } : await githubCachedRequest(
             `/repos/${repo.owner.login}/${repo.name}`,
-            null,
-            token
+            token,
+            cache
         );
         // Ensure topics is always defined for downstream logic
         const topics = Array.isArray(detailedRepo.topics) ? detailedRepo.topics : [];
@@ -867,12 +3069,13 @@ async function enrichRepository(repo, cache, token) {
         try {
             // Try to get custom properties - this might not be available in all GitHub orgs
             // Custom properties API endpoint (if available)
-            const customPropsResponse = await githubRequest(
-                'GET',
-                `/repos/${repo.owner.login}/${repo.name}/properties/values`,
-                null,
-                token
-            );
+            const { data: customPropsResponse } = prefetched.properties
+                ? { data: prefetched.properties.get(repoKey) || [] }
+                : await githubCachedRequest(
+                    `/repos/${repo.owner.login}/${repo.name}/properties/values`,
+                    token,
+                    cache
+                );
             if (customPropsResponse && Array.isArray(customPropsResponse)) {
                 // Convert array format to object: [{property_name: "Pod", value: "..."}, ...] -> {Pod: "..."}
                 customProperties = {};
@@ -887,78 +3090,93 @@ async function enrichRepository(repo, cache, token) {
             // Fall back to topics or other methods
         }
 
-        // Note: We always fetch to catch pod/codeowners changes, so no lastModified cache
+        // Resolve pod/vertical with the ownership rules (the properties endpoint wins over
+        // custom properties included in the repo response)
+        const { pod, podRule, vertical, environmentType } = resolveOwnership({
+            name: repo.name,
+            topics: topics,
+            customProperties: { ...(detailedRepo.custom_properties || {}), ...(customProperties || {}) }
+        });
 
-        // Extract custom properties
-        // GitHub repositories can have custom properties set at the org level
-        let pod = null;
-        let environmentType = null;
-        
-        // Method 1: Check custom properties (from separate API call if available)
-        if (customProperties) {
-            // Custom properties format: { "Pod": "Vertical3-Pod2", "EnvironmentType": "Prod" }
-            pod = customProperties.Pod || customProperties.pod || customProperties.POD || null;
-            environmentType = customProperties.EnvironmentType || customProperties.environmentType || customProperties.ENVIRONMENTTYPE || null;
-        }
-        
-        // Method 1b: Check if custom properties are in the repo response itself
-        if (!pod && detailedRepo.custom_properties) {
-            pod = detailedRepo.custom_properties.Pod || detailedRepo.custom_properties.pod || detailedRepo.custom_properties.POD || pod;
-            environmentType = detailedRepo.custom_properties.EnvironmentType || detailedRepo.custom_properties.environmentType || detailedRepo.custom_properties.ENVIRONMENTTYPE || environmentType;
-        }
-        
-        // Method 2: Check topics (fallback if custom properties not set)
-        if (!pod) {
-            // Look for pod in topics (could be prefixed with "pod:" or match pattern "Vertical-Pod")
-            const podTopic = topics.find(topic => {
-                const lower = topic.toLowerCase();
-                return lower.includes('pod:') || (topic.includes('-') && topic.length > 5);
-            });
-            if (podTopic) {
-                // If it has "pod:" prefix, extract after colon, otherwise use as-is
-                pod = podTopic.includes(':') ? podTopic.split(':')[1].trim() : podTopic;
-            }
-        }
-        
-        // Method 3: Try fetching custom properties via API if not in response
-        // This would require checking if the response includes custom_properties
-        // If not, we could make an additional API call, but that's expensive
-        
-        // Extract vertical from pod name (format: "Vertical3-Pod2" -> vertical = "Vertical3")
-        let vertical = null;
-        if (pod && pod.includes('-')) {
-            const parts = pod.split('-');
-            // Take everything before the last "-" as vertical
-            // For "Vertical3-Pod2", vertical = "Vertical3"
-            vertical = parts.slice(0, -1).join('-');
-        }
-
-        // Detect CODEOWNERS in default locations
-        let codeowners = false;
-        const codeownersPaths = [
-            '.github/CODEOWNERS',
-            'CODEOWNERS',
-            'docs/CODEOWNERS'
-        ];
-        for (const p of codeownersPaths) {
+        // Find CODEOWNERS in default locations (contents already included in GraphQL metadata)
+        let codeowners = metadata ? metadata.codeowners : false;
+        let codeownersFile = metadata ? metadata.codeownersFile : null;
+        for (const p of (metadata || !CONFIG.enrichers.codeowners ? [] : CODEOWNERS_PATHS)) {
             try {
-                await githubRequest('GET', `/repos/${repo.owner.login}/${repo.name}/contents/${encodeURIComponent(p)}`, null, token);
+                const { data: file } = await githubCachedRequest(`/repos/${repo.owner.login}/${repo.name}/contents/${encodeURIComponent(p)}`, token, cache);
                 codeowners = true; // If request succeeds, file exists
+                codeownersFile = {
+                    path: p,
+                    text: file && file.content ? Buffer.from(file.content, file.encoding || 'base64').toString('utf8') : ''
+                };
                 break;
             } catch (e) {
                 // continue trying other locations
             }
         }
         
-        // Skip archived repositories - only process active repositories
-        if (detailedRepo.archived) {
-            return null;
+        // Default and per-path owners, plus entries pointing at missing or empty teams
+        // (skipped: no CODEOWNERS fields at all, so mergeWithOwnership keeps the previous ones)
+        const codeownersInfo = !CONFIG.enrichers.codeowners ? {} : {
+            codeowners: codeowners,
+            ...(codeownersFile
+                ? await getCodeownersInfo(repo.owner.login, codeownersFile, token, cache)
+                : { codeownersPath: null, defaultOwners: [], pathOwners: [], codeownersIssues: [] })
+        };
+
+        // Default-branch protection and rulesets (archived repos are read-only: mergeWithOwnership keeps the last result)
+        const branchCompliance = detailedRepo.archived || !CONFIG.enrichers.protection
+            ? {}
+            : await getBranchCompliance(repo.owner.login, repo.name, detailedRepo.default_branch, token, cache);
+
+        const record = {
+            organization: repo.owner.login,
+            repository: repo.name,
+            pod: pod || 'No Pod Selected', // Default to "No Pod Selected" if not found
+            podRule: podRule, // Id of the ownership rule that produced the pod (null if none matched)
+            environmentType: environmentType || '',
+            vertical: vertical || '', // Extracted from pod, or empty
+            description: detailedRepo.description || '',
+            language: detailedRepo.language || '',
+            status: detailedRepo.archived ? 'archived' : (detailedRepo.disabled ? 'deprecated' : 'active'),
+            // REST has no archive date, but archiving bumps updated_at (mergeWithOwnership keeps the first one seen)
+            archivedAt: detailedRepo.archived ? (detailedRepo.archived_at || detailedRepo.updated_at || new Date().toISOString()) : null,
+            lastActivity: detailedRepo.updated_at ? detailedRepo.updated_at.split('T')[0] : null,
+            githubUrl: detailedRepo.html_url,
+            // Exposure (risk score multipliers in the tracker); older API versions only have `private`
+            visibility: detailedRepo.visibility || (detailedRepo.private ? 'private' : 'public'),
+            fork: Boolean(detailedRepo.fork),
+            isTemplate: Boolean(detailedRepo.is_template),
+            lastSyncedAt: new Date().toISOString(),
+            // Keep existing ownership data (engineeringManager) - we'll merge later
+            _metadata: {
+                stars: detailedRepo.stargazers_count,
+                forks: detailedRepo.forks_count,
+                openIssues: detailedRepo.open_issues_count,
+                createdAt: detailedRepo.created_at,
+                pushedAt: detailedRepo.pushed_at,
+                defaultBranch: detailedRepo.default_branch,
+                topics: topics, // Store topics for reference
+            },
+            ...codeownersInfo,
+            ...branchCompliance,
+        };
+
+        // Archived repos keep the vulnerability snapshot taken by the first sync that saw them archived
+        // (no vulnerabilities here: mergeWithOwnership carries the existing ones over, as with --skip=alerts)
+        if (!CONFIG.enrichers.alerts ||
+            (detailedRepo.archived && prefetched.archivedSnapshots && prefetched.archivedSnapshots.has(repoKey))) {
+            return record;
         }
-        
-        // Fetch vulnerability data
+
+        // Fetch vulnerability data (from the org-wide alerts when available, otherwise per repo)
+        const getPrefetchedAlerts = tool => (prefetched.alerts && prefetched.alerts[tool])
+            ? (prefetched.alerts[tool].get(repoKey) || [])
+            : null;
+
         let codeScanning, dependabot, secretScanning;
         try {
-            codeScanning = await fetchCodeScanningAlerts(repo.owner.login, repo.name, token);
+            codeScanning = await fetchCodeScanningAlerts(repo.owner.login, repo.name, token, cache, getPrefetchedAlerts('codeScanning'));
         } catch (error) {
             console.warn(`⚠️  Failed to fetch CODEQL alerts for ${repo.owner.login}/${repo.name}: ${error.message}`);
             codeScanning = { 
@@ -979,7 +3197,7 @@ async function enrichRepository(repo, cache, token) {
         }
         
         try {
-            dependabot = await fetchDependabotAlerts(repo.owner.login, repo.name, token);
+            dependabot = await fetchDependabotAlerts(repo.owner.login, repo.name, token, cache, getPrefetchedAlerts('dependabot'));
         } catch (error) {
             console.warn(`⚠️  Failed to fetch Dependabot alerts for ${repo.owner.login}/${repo.name}: ${error.message}`);
             dependabot = { 
@@ -1001,7 +3219,7 @@ async function enrichRepository(repo, cache, token) {
         }
         
         try {
-            secretScanning = await fetchSecretScanningAlerts(repo.owner.login, repo.name, token);
+            secretScanning = await fetchSecretScanningAlerts(repo.owner.login, repo.name, token, cache, getPrefetchedAlerts('secretScanning'));
         } catch (error) {
             console.warn(`⚠️  Failed to fetch Secret Scanning alerts for ${repo.owner.login}/${repo.name}: ${error.message}`);
             secretScanning = { 
@@ -1018,74 +3236,85 @@ async function enrichRepository(repo, cache, token) {
             };
         }
         
+        // Per-alert details go to the alert details file, not repositories.json
+        const alertDetails = [codeScanning, dependabot, secretScanning].flatMap(summary => {
+            const details = summary.details || [];
+            delete summary.details;
+            return details;
+        });
+        // And vulnerable packages to the package inventory (nothing when Dependabot couldn't be read)
+        const packages = dependabot.packages || [];
+        delete dependabot.packages;
+        // And code scanning alerts grouped by rule to the rule breakdown
+        const rules = codeScanning.rules || [];
+        delete codeScanning.rules;
+
         return {
-            organization: repo.owner.login,
-            repository: repo.name,
-            pod: pod || 'No Pod Selected', // Default to "No Pod Selected" if not found
-            environmentType: environmentType || '',
-            vertical: vertical || '', // Extracted from pod, or empty
-            description: detailedRepo.description || '',
-            language: detailedRepo.language || '',
-            status: detailedRepo.disabled ? 'deprecated' : 'active',
-            lastActivity: detailedRepo.updated_at ? detailedRepo.updated_at.split('T')[0] : null,
-            githubUrl: detailedRepo.html_url,
-            // Keep existing ownership data (engineeringManager) - we'll merge later
-            _metadata: {
-                stars: detailedRepo.stargazers_count,
-                forks: detailedRepo.forks_count,
-                openIssues: detailedRepo.open_issues_count,
-                createdAt: detailedRepo.created_at,
-                pushedAt: detailedRepo.pushed_at,
-                defaultBranch: detailedRepo.default_branch,
-                topics: topics, // Store topics for reference
-            },
-            codeowners: codeowners,
+            ...record,
             vulnerabilities: {
                 codeScanning: codeScanning,
                 dependabot: dependabot,
                 secretScanning: secretScanning
-            }
+            },
+            _alertDetails: CONFIG.alertDetails.enabled ? alertDetails : undefined,
+            _packages: packages,
+            _rules: rules
         };
     } catch (error) {
-        if (error.statusCode === 304) {
-            // Not modified - skip
-            return null;
-        }
+        // Rethrow so the caller keeps the previous record and flags it stale
         console.warn(`⚠️  Failed to fetch details for ${repo.owner.login}/${repo.name}: ${error.message}`);
-        return null;
+        throw error;
     }
 }
 
 /**
  * Merge GitHub data with existing ownership data
+ *
+ * failedRepos ({ organization, repository, error }) are repos GitHub still lists but that could not be
+ * enriched: their previous record is kept and flagged stale instead of being dropped.
  */
-function mergeWithOwnership(githubData, existingRepos) {
+function mergeWithOwnership(githubData, existingRepos, failedRepos = []) {
     const existingMap = new Map();
     existingRepos.forEach(repo => {
         const key = `${repo.organization}/${repo.repository}`;
         existingMap.set(key, repo);
     });
 
-    return githubData.map(repo => {
+    const merged = githubData.map(repo => {
         const key = `${repo.organization}/${repo.repository}`;
-        const existing = existingMap.get(key);
+        // A fresh sync clears any stale flag from a previous run
+        const { stale, staleSince, syncError, ...existing } = existingMap.get(key) || {};
 
-        if (existing) {
+        if (existingMap.has(key)) {
             // Merge: prefer new values when provided, otherwise keep existing
             return {
                 ...existing,
                 // Update pod from GitHub if available and not "No Pod Selected", otherwise use existing, otherwise default
                 pod: (repo.pod && repo.pod !== 'No Pod Selected') ? repo.pod : (existing.pod || 'No Pod Selected'),
+                // The rule goes with the pod: a kept pod keeps its rule (none for pods set by hand)
+                podRule: (repo.pod && repo.pod !== 'No Pod Selected') ? repo.podRule : (existing.podRule || null),
                 environmentType: repo.environmentType || existing.environmentType || '',
                 vertical: repo.vertical || existing.vertical || '',
                 description: repo.description || existing.description,
                 language: repo.language || existing.language,
                 status: repo.status || existing.status,
+                // First archive date seen wins; cleared if the repo is unarchived
+                archivedAt: repo.status === 'archived' ? (existing.archivedAt || repo.archivedAt || null) : null,
                 lastActivity: repo.lastActivity || existing.lastActivity,
                 githubUrl: repo.githubUrl || existing.githubUrl,
+                visibility: repo.visibility || existing.visibility,
+                fork: typeof repo.fork === 'boolean' ? repo.fork : existing.fork,
+                isTemplate: typeof repo.isTemplate === 'boolean' ? repo.isTemplate : existing.isTemplate,
+                lastSyncedAt: repo.lastSyncedAt,
                 // Preserve engineeringManager from existing (not in GitHub API)
                 engineeringManager: existing.engineeringManager || '',
                 codeowners: typeof repo.codeowners === 'boolean' ? repo.codeowners : (existing.codeowners || false),
+                codeownersPath: repo.codeownersPath !== undefined ? repo.codeownersPath : (existing.codeownersPath || null),
+                defaultOwners: repo.defaultOwners || existing.defaultOwners || [],
+                pathOwners: repo.pathOwners || existing.pathOwners || [],
+                codeownersIssues: repo.codeownersIssues || existing.codeownersIssues || [],
+                branchProtection: repo.branchProtection !== undefined ? repo.branchProtection : (existing.branchProtection || null),
+                compliance: repo.compliance || existing.compliance || null,
                 // Merge vulnerability data (prefer new, but keep existing structure if new is missing)
                 vulnerabilities: repo.vulnerabilities || existing.vulnerabilities || {
                     codeScanning: { 
@@ -1179,6 +3408,22 @@ function mergeWithOwnership(githubData, existingRepos) {
             };
         }
     });
+
+    // Keep last-known data for repos whose enrichment failed (a new repo that failed has nothing to keep)
+    const now = new Date().toISOString();
+    failedRepos.forEach(failed => {
+        const existing = existingMap.get(`${failed.organization}/${failed.repository}`);
+        if (!existing) return;
+        merged.push({
+            ...existing,
+            stale: true,
+            staleSince: existing.staleSince || now,
+            syncError: failed.error,
+            lastSyncedAt: existing.lastSyncedAt || null,
+        });
+    });
+
+    return merged;
 }
 
 /**
@@ -1229,6 +3474,63 @@ function getOrganizationConfigs() {
     return null;
 }
 
+/**
+ * Build the config of one organization from APP_ID/APP_PRIVATE_KEY (--org, or orgs named by --repo)
+ */
+function getSingleOrgConfig(org) {
+    const appId = process.env.APP_ID;
+    const privateKey = process.env.APP_PRIVATE_KEY;
+
+    if ((!appId || !privateKey) && !transport.offline) {
+        throw new Error('Missing APP_ID or APP_PRIVATE_KEY for single org mode');
+    }
+
+    return {
+        name: org,
+        appId: appId,
+        privateKey: privateKey,
+        privateKeyBase64: process.env.APP_PRIVATE_KEY_BASE64
+    };
+}
+
+/**
+ * Group --repo values and --repos-file lines ("org/name") by organization
+ *
+ * @returns {Map<string, Array<string>>|null} repo names per org, null when no repo is targeted
+ */
+function parseRepoTargets(repos = [], reposFile = null) {
+    const entries = repos.flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+
+    if (reposFile) {
+        let text;
+        try {
+            text = fs.readFileSync(reposFile, 'utf8');
+        } catch (error) {
+            throw new Error(`Could not read --repos-file ${reposFile}: ${error.message}`);
+        }
+        text.split(/\r?\n/).forEach(line => {
+            const entry = line.replace(/#.*$/, '').trim();
+            if (entry) entries.push(entry);
+        });
+        if (entries.length === 0) {
+            throw new Error(`--repos-file ${reposFile} lists no repositories`);
+        }
+    }
+
+    if (entries.length === 0) return null;
+
+    const targets = new Map();
+    entries.forEach(entry => {
+        if (!/^[^/\s]+\/[^/\s]+$/.test(entry)) {
+            throw new Error(`Invalid repository "${entry}" (expected org/name)`);
+        }
+        const [org, name] = entry.split('/');
+        if (!targets.has(org)) targets.set(org, []);
+        if (!targets.get(org).includes(name)) targets.get(org).push(name);
+    });
+    return targets;
+}
+
 /**
  * Get app token for a specific organization config
  */
@@ -1270,9 +3572,77 @@ function generateAppTokenForOrg(orgConfig) {
 }
 
 /**
- * Get installation token for an organization using org config
+ * Get an installation token for an organization using org config
+ *
+ * Returns a token object ({ org, value, expiresAt }) rather than a string so githubRequest can
+ * refresh it when it's about to expire; long syncs outlive the one hour installation tokens last.
  */
 async function getInstallationTokenForOrg(org, orgConfig) {
+    const token = { org, orgConfig, value: null, expiresAt: 0, refreshing: null };
+    // Authenticate up front so credential problems fail the org before any repo is fetched
+    await refreshInstallationToken(token);
+    return token;
+}
+
+/**
+ * Whether a token argument is an installation token object (see getInstallationTokenForOrg)
+ */
+function isInstallationToken(token) {
+    return Boolean(token) && typeof token === 'object' && 'expiresAt' in token;
+}
+
+/**
+ * Get the bearer string for a token argument, refreshing installation tokens that are about to expire
+ */
+async function resolveToken(token) {
+    if (!isInstallationToken(token)) return token;
+
+    if (token.refreshing || Date.now() >= token.expiresAt - CONFIG.tokenRefreshMargin) {
+        await refreshInstallationToken(token, token.value);
+    }
+    return token.value;
+}
+
+/**
+ * Mint a new installation token in place
+ *
+ * Concurrent callers share one refresh. Passing the value a caller saw rejected skips the refresh
+ * when another worker already replaced it.
+ */
+async function refreshInstallationToken(token, staleValue = token.value) {
+    if (token.refreshing) {
+        return token.refreshing;
+    }
+    if (token.value !== staleValue) {
+        return;
+    }
+
+    token.refreshing = (async () => {
+        const isRefresh = token.value !== null;
+        const { value, expiresAt } = await requestInstallationToken(token.org, token.orgConfig);
+        token.value = value;
+        token.expiresAt = expiresAt;
+        if (isRefresh) {
+            console.log(`🔑 Refreshed installation token for ${token.org} (expires ${new Date(expiresAt).toISOString()})`);
+        }
+    })();
+
+    try {
+        await token.refreshing;
+    } finally {
+        token.refreshing = null;
+    }
+}
+
+/**
+ * Request a new installation token from GitHub, returning { value, expiresAt }
+ */
+async function requestInstallationToken(org, orgConfig) {
+    // Fixtures and the mock server don't check credentials
+    if (transport.offline) {
+        return { value: 'offline-token', expiresAt: Infinity };
+    }
+
     const appToken = generateAppTokenForOrg(orgConfig);
 
     // Get installation ID
@@ -1308,64 +3678,172 @@ async function getInstallationTokenForOrg(org, orgConfig) {
         appToken
     );
 
-    return response.token;
+    // Tokens last one hour; assume that if the response doesn't say
+    const expiresAt = response.expires_at ? Date.parse(response.expires_at) : Date.now() + 60 * 60 * 1000;
+    return { value: response.token, expiresAt };
 }
 
 /**
  * Sync a single organization (always full sync to catch all changes)
  */
-async function syncSingleOrganization(orgConfig, existingRepos, cache) {
+async function syncSingleOrganization(orgConfig, existingRepos, cache, targetNames = null, checkpoint = null) {
     const org = orgConfig.name;
     console.log(`\n${'='.repeat(60)}`);
     console.log(`📦 Syncing organization: ${org}`);
     console.log(`${'='.repeat(60)}`);
 
+    // Progress of this org in the checkpoint (enriched repos so far; a resumed run starts from it)
+    if (checkpoint && !checkpoint.state.orgs[org]) {
+        checkpoint.state.orgs[org] = {
+            completed: false,
+            done: [],
+            repos: [],
+            failed: [],
+            alertDetails: {},
+            packages: {},
+            rules: {},
+            retries: {},
+            stats: { updated: 0, skipped: 0, errors: 0, retries: 0 }
+        };
+    }
+    const progress = checkpoint ? checkpoint.state.orgs[org] : null;
+
+    if (progress && progress.completed) {
+        console.log(`⏭️  ${org}: already synced before the interruption (${progress.repos.length} repos from the checkpoint)`);
+        return {
+            org: org,
+            repos: progress.repos,
+            failed: progress.failed,
+            alertDetails: progress.alertDetails,
+            packages: progress.packages,
+            rules: progress.rules,
+            retries: progress.retries,
+            stats: progress.stats
+        };
+    }
+
     // Authenticate
     const installationToken = await getInstallationTokenForOrg(org, orgConfig);
 
-    // Fetch all repositories
-    const githubRepos = await fetchOrganizationRepos(org, installationToken);
+    // Fetch all repositories (or only the targeted ones: --repo / --repos-file)
+    const listedRepos = targetNames
+        ? await fetchTargetRepos(org, targetNames, installationToken, cache)
+        : await fetchOrganizationRepos(org, installationToken, cache);
+    // Sync config include/exclude patterns (repos targeted by name are always synced)
+    const githubRepos = targetNames ? listedRepos : listedRepos.filter(repo => isRepoIncluded(repo.name, orgConfig));
     console.log(`📊 Found ${githubRepos.length} repositories`);
+    if (githubRepos.length < listedRepos.length) {
+        console.log(`   🚫 ${listedRepos.length - githubRepos.length} excluded by the sync config patterns`);
+    }
+
+    const prefetched = {
+        // Archived repos that already have their final vulnerability snapshot (alerts aren't fetched again)
+        archivedSnapshots: new Set(existingRepos
+            .filter(repo => repo.status === 'archived' && repo.vulnerabilities)
+            .map(repo => `${repo.organization}/${repo.repository}`.toLowerCase()))
+    };
+
+    // Bulk alert mode: page through each tool's org-wide alerts once instead of per repo
+    // (not worth it for a handful of targeted repos)
+    if (CONFIG.orgAlerts && CONFIG.enrichers.alerts && !targetNames) {
+        console.log('\n🔎 Fetching organization-level alerts...');
+        prefetched.alerts = {};
+        for (const tool of Object.keys(ALERT_TOOLS)) {
+            prefetched.alerts[tool] = await fetchOrganizationAlerts(org, tool, installationToken, cache);
+        }
+    }
+
+    // GraphQL mode: repo metadata in batches and custom properties org-wide instead of 3-5 REST calls per repo
+    if (CONFIG.graphql.enabled) {
+        console.log('\n🧬 Fetching repository metadata via GraphQL...');
+        prefetched.metadata = await fetchRepositoryMetadata(org, githubRepos, installationToken);
+        prefetched.properties = await fetchOrganizationPropertyValues(org, installationToken, cache);
+    }
 
-    // Enrich repositories
+    // Enrich repositories (those already in the checkpoint are not fetched again)
     console.log('\n🔄 Enriching repository data...');
-    const enrichedRepos = [];
-    let skipped = 0;
-    let updated = 0;
+    const done = new Set(progress ? progress.done : []);
+    const pendingRepos = githubRepos.filter(repo => !done.has(`${repo.owner.login}/${repo.name}`));
+    if (done.size > 0) {
+        console.log(`   Resuming: ${githubRepos.length - pendingRepos.length} repos from the checkpoint, ${pendingRepos.length} left`);
+    }
+    const enrichedRepos = progress ? progress.repos : [];
+    const failedRepos = [];
+    const alertDetails = progress ? progress.alertDetails : {};
+    const packages = progress ? progress.packages : {};
+    const rules = progress ? progress.rules : {};
+    const retriesByRepo = progress ? progress.retries : {};
+    let { skipped, updated, retries } = progress ? progress.stats : { skipped: 0, updated: 0, retries: 0 };
     let errors = 0;
+    let processed = githubRepos.length - pendingRepos.length;
 
-    // Process in batches
-    const batchSize = CONFIG.maxConcurrent;
-    for (let i = 0; i < githubRepos.length; i += batchSize) {
-        const batch = githubRepos.slice(i, i + batchSize);
-        const batchPromises = batch.map(async (repo) => {
-            try {
-                const enriched = await enrichRepository(repo, cache, installationToken);
-                if (enriched) {
-                    enrichedRepos.push(enriched);
-                    updated++;
-                } else {
-                    skipped++;
+    const saveProgress = () => {
+        progress.stats = { updated, skipped, errors, retries };
+        checkpoint.save();
+    };
+
+    await runWorkQueue(pendingRepos, async (repo) => {
+        // Requests made for this repo add their retries to its context
+        const context = { retries: 0 };
+        try {
+            const enriched = await requestContext.run(context, () => enrichRepository(repo, cache, installationToken, prefetched));
+            if (enriched) {
+                const { _alertDetails, _packages, _rules, ...record } = enriched;
+                if (_alertDetails) {
+                    alertDetails[`${record.organization}/${record.repository}`] = _alertDetails;
                 }
-            } catch (error) {
-                console.error(`❌ Error enriching ${repo.owner.login}/${repo.name}:`, error.message);
-                errors++;
+                if (_packages) {
+                    packages[`${record.organization}/${record.repository}`] = _packages;
+                }
+                if (_rules) {
+                    rules[`${record.organization}/${record.repository}`] = _rules;
+                }
+                enrichedRepos.push(record);
+                updated++;
+            } else {
+                skipped++;
             }
-        });
+            // Failed repos stay pending, so a resumed run retries them
+            if (progress) progress.done.push(`${repo.owner.login}/${repo.name}`);
+        } catch (error) {
+            console.error(`❌ Error enriching ${repo.owner.login}/${repo.name}:`, error.message);
+            failedRepos.push({ organization: repo.owner.login, repository: repo.name, error: error.message });
+            errors++;
+        }
 
-        await Promise.all(batchPromises);
+        if (context.retries > 0) {
+            retriesByRepo[`${repo.owner.login}/${repo.name}`] = context.retries;
+            retries += context.retries;
+        }
 
         // Progress update
-        const processed = Math.min(i + batchSize, githubRepos.length);
-        console.log(`   Progress: ${processed}/${githubRepos.length} (${updated} updated, ${skipped} skipped, ${errors} errors)`);
+        processed++;
+        if (processed % CONFIG.progressInterval === 0 || processed === githubRepos.length) {
+            console.log(`   Progress: ${processed}/${githubRepos.length} (${updated} updated, ${skipped} skipped, ${errors} errors, ${retries} retries)`);
+        }
+        if (progress && processed % CONFIG.checkpoint.interval === 0) {
+            saveProgress();
+        }
+    });
+
+    if (progress) {
+        // Repos that failed are kept as stale by the merge: the org doesn't need to be synced again
+        progress.completed = true;
+        progress.failed = failedRepos;
+        saveProgress();
     }
 
-    console.log(`✅ ${org}: Updated ${updated}, skipped ${skipped}, errors ${errors}`);
+    console.log(`✅ ${org}: Updated ${updated}, skipped ${skipped}, errors ${errors}, retries ${retries}`);
 
     return {
         org: org,
         repos: enrichedRepos,
-        stats: { updated, skipped, errors }
+        failed: failedRepos,
+        alertDetails: alertDetails,
+        packages: packages,
+        rules: rules,
+        retries: retriesByRepo,
+        stats: { updated, skipped, errors, retries }
     };
 }
 
@@ -1374,28 +3852,82 @@ async function syncSingleOrganization(orgConfig, existingRepos, cache) {
  */
 async function syncRepositories(options = {}) {
     const singleOrg = options.org;
+    // Per-run state: the webhook receiver calls this again and again in one process
+    teamStatusCache.clear();
+    rateLimitState.retries = 0;
+    rateLimitState.secondaryLimitHits = 0;
+    cacheStats = { notModified: 0, fetched: 0 };
+    if (options.alertDetails) {
+        CONFIG.alertDetails.enabled = true;
+    }
+    if (options.orgAlerts) {
+        CONFIG.orgAlerts = true;
+    }
+    if (options.graphql) {
+        CONFIG.graphql.enabled = true;
+    }
+    if (options.full) {
+        CONFIG.cache.bypass = true;
+    }
+
+    // Checked-in settings first, so the command line options below still win
+    const syncConfig = loadSyncConfig(options.config);
+    if (syncConfig) {
+        Object.assign(CONFIG.enrichers, syncConfig.enrichers);
+        Object.assign(CONFIG.rateLimit, syncConfig.rateLimit);
+        if (syncConfig.maxConcurrent) {
+            CONFIG.maxConcurrent = syncConfig.maxConcurrent;
+        }
+        console.log(`⚙️  Sync config: ${syncConfig.file} (${syncConfig.organizations.length} organizations)`);
+    }
+    const configuredOrgs = syncConfig && syncConfig.organizations.length > 0 ? syncConfig.organizations : null;
+
+    const skipped = options.skip || [];
+    const unknownEnrichers = skipped.filter(name => !(name in CONFIG.enrichers));
+    if (unknownEnrichers.length > 0) {
+        throw new Error(`Unknown --skip value(s): ${unknownEnrichers.join(', ')} (valid: ${Object.keys(CONFIG.enrichers).join(', ')})`);
+    }
+    skipped.forEach(name => {
+        CONFIG.enrichers[name] = false;
+    });
+    const dryRun = Boolean(options.dryRun);
+    // --output: the data file and its side files (history, alerts, change report) go next to it
+    const outputFile = options.output ? path.resolve(options.output) : CONFIG.dataFile;
+    const outputDir = path.dirname(outputFile);
+    const sideFiles = options.output ? {
+        historyFile: path.join(outputDir, 'history.json'),
+        alertsFile: path.join(outputDir, 'alerts.json'),
+        packagesFile: path.join(outputDir, 'packages.json'),
+        rulesFile: path.join(outputDir, 'code-scanning-rules.json'),
+        changesFile: path.join(outputDir, 'sync-changes.json'),
+        changesMarkdownFile: path.join(outputDir, 'sync-changes.md')
+    } : CONFIG;
+    // --repo / --repos-file: only these repos are fetched, every other record is kept as is
+    const targets = parseRepoTargets(options.repos, options.reposFile);
+    const resume = Boolean(options.resume);
+
+    // Fail before any API call when the rules file is broken
+    ownershipRules = loadOwnershipRules();
+    console.log(`🧭 Ownership rules: ${ownershipRules.pod.map(rule => rule.id).join(' → ')}`);
 
     // Get organization configurations
     let orgConfigs;
     
     if (singleOrg) {
         // Single org mode (backward compatible or --org flag)
-        const appId = process.env.APP_ID;
-        const privateKey = process.env.APP_PRIVATE_KEY;
-        
-        if (!appId || !privateKey) {
-            throw new Error('Missing APP_ID or APP_PRIVATE_KEY for single org mode');
+        const otherOrgs = targets ? [...targets.keys()].filter(org => org !== singleOrg) : [];
+        if (otherOrgs.length > 0) {
+            throw new Error(`--repo targets ${otherOrgs.join(', ')} but --org is ${singleOrg}`);
         }
-
-        orgConfigs = [{
-            name: singleOrg,
-            appId: appId,
-            privateKey: privateKey,
-            privateKeyBase64: process.env.APP_PRIVATE_KEY_BASE64
-        }];
+        orgConfigs = [(configuredOrgs || []).find(config => config.name === singleOrg) || getSingleOrgConfig(singleOrg)];
+    } else if (targets) {
+        // Targeted mode: only the orgs of the listed repos (their credentials, or APP_ID/APP_PRIVATE_KEY)
+        const configured = configuredOrgs || getOrganizationConfigs() || [];
+        orgConfigs = [...targets.keys()].map(org =>
+            configured.find(config => config.name === org) || getSingleOrgConfig(org));
     } else {
         // Multi-org mode
-        orgConfigs = getOrganizationConfigs();
+        orgConfigs = configuredOrgs || getOrganizationConfigs();
         
         if (!orgConfigs || orgConfigs.length === 0) {
             throw new Error(
@@ -1403,30 +3935,114 @@ async function syncRepositories(options = {}) {
                 '  1. Set ORGS_CONFIG (JSON array)\n' +
                 '  2. Set ORGS_LIST and APP_ID_<ORG>, APP_PRIVATE_KEY_<ORG> secrets\n' +
                 '  3. Set ORG_NAME, APP_ID, APP_PRIVATE_KEY for single org\n' +
-                '  4. Use --org flag with APP_ID and APP_PRIVATE_KEY'
+                '  4. Use --org flag with APP_ID and APP_PRIVATE_KEY\n' +
+                `  5. List organizations in ${CONFIG.syncConfigFile}`
             );
         }
     }
 
+    orgConfigs = applyRepoFilters(orgConfigs, syncConfig);
+
+    // A GitHub App delivers events for every repo of the org: webhook updates skip the ones the
+    // sync config excludes (repos named with --repo on the command line are synced regardless)
+    if (options.webhook && targets) {
+        orgConfigs.forEach(orgConfig => {
+            const names = targets.get(orgConfig.name) || [];
+            const included = names.filter(name => isRepoIncluded(name, orgConfig));
+            names.filter(name => !included.includes(name)).forEach(name =>
+                console.log(`⏭️  ${orgConfig.name}/${name}: excluded by the sync config patterns, webhook update ignored`));
+            if (included.length > 0) {
+                targets.set(orgConfig.name, included);
+            } else {
+                targets.delete(orgConfig.name);
+            }
+        });
+        orgConfigs = orgConfigs.filter(orgConfig => targets.has(orgConfig.name));
+        if (orgConfigs.length === 0) {
+            return null;
+        }
+    }
+
     console.log('🚀 Starting GitHub repository sync (full sync always enabled)...');
     console.log(`   Organizations: ${orgConfigs.map(c => c.name).join(', ')}`);
-    console.log(`   Mode: Full sync (always fetches all repos to catch pod/codeowners changes)`);
+    if (targets) {
+        console.log(`   Mode: Targeted sync (${[...targets].map(([org, names]) => names.map(name => `${org}/${name}`).join(', ')).join(', ')})`);
+    } else {
+        console.log(`   Mode: Full sync (always fetches all repos to catch pod/codeowners changes)`);
+    }
+    if (skipped.length > 0) {
+        console.log(`   Skipped enrichers: ${skipped.join(', ')} (previous values kept)`);
+    }
+    if (CONFIG.cache.bypass) {
+        console.log('   Cache: bypassed (--full)');
+    }
+    if (dryRun) {
+        console.log('   Dry run: no file will be written');
+    }
+    if (transport.mode !== 'live') {
+        console.log(`   Transport: ${transport.mode} (${transport.mode === 'mock' ? transport.apiBase : transport.fixturesDir})`);
+    }
 
     // Load existing data
     const existingRepos = loadExistingData();
     const cache = loadCache();
 
+    // Checkpoint: continue the interrupted run with --resume, otherwise start a new one
+    const runKey = getCheckpointRunKey(orgConfigs, targets);
+    let checkpointState = resume && !targets ? loadCheckpoint() : null;
+    if (checkpointState && checkpointState.runKey !== runKey) {
+        throw new Error(`${CONFIG.checkpointFile} was written by a sync with other options (organizations, --repo, --skip or --alert-details); ` +
+            'run it with the same options, or without --resume to start over');
+    }
+    if (checkpointState) {
+        const resumedRepos = Object.values(checkpointState.orgs).reduce((sum, progress) => sum + progress.done.length, 0);
+        console.log(`\n♻️  Resuming the sync started at ${checkpointState.startedAt} (${resumedRepos} repos already enriched)`);
+    } else {
+        if (resume) console.log('\n♻️  No checkpoint to resume, starting a new sync');
+        checkpointState = { runKey, startedAt: new Date().toISOString(), orgs: {} };
+    }
+    const checkpoint = {
+        state: checkpointState,
+        // Dry runs and targeted runs (--repo, webhook updates) leave the checkpoint of a full sync as it is
+        save: () => dryRun || targets ? null : saveCheckpoint(checkpointState)
+    };
+
     // Sync each organization
     const allEnrichedRepos = [];
+    const allFailedRepos = [];
+    const allAlertDetails = {};
+    const allPackages = {};
+    const allRules = {};
+    const allRetries = {};
     const orgStats = [];
 
+    // Whether an existing record is part of this run (everything unless repos are targeted)
+    const isTargeted = repo => !targets || (targets.get(repo.organization) || []).includes(repo.repository);
+
     for (const orgConfig of orgConfigs) {
         try {
-            const result = await syncSingleOrganization(orgConfig, existingRepos, cache);
+            const targetNames = targets ? targets.get(orgConfig.name) : null;
+            const result = await orgContext.run({ apiBase: orgConfig.apiBase || null },
+                () => syncSingleOrganization(orgConfig, existingRepos, cache, targetNames, checkpoint));
             allEnrichedRepos.push(...result.repos);
+            allFailedRepos.push(...result.failed);
+            Object.assign(allAlertDetails, result.alertDetails);
+            Object.assign(allPackages, result.packages);
+            Object.assign(allRules, result.rules);
+            Object.assign(allRetries, result.retries);
             orgStats.push(result.stats);
         } catch (error) {
             console.error(`\n❌ Failed to sync ${orgConfig.name}:`, error.message);
+            // Keep what was enriched before the failure for --resume
+            checkpoint.save();
+            // Keep the whole organization's previous data rather than dropping it
+            existingRepos
+                .filter(repo => repo.organization === orgConfig.name && isTargeted(repo))
+                .forEach(repo => allFailedRepos.push({
+                    organization: repo.organization,
+                    repository: repo.repository,
+                    error: `Organization sync failed: ${error.message}`
+                }));
             orgStats.push({
                 org: orgConfig.name,
                 updated: 0,
@@ -1436,17 +4052,32 @@ async function syncRepositories(options = {}) {
         }
     }
 
-    // Merge with existing ownership data
-    const mergedRepos = mergeWithOwnership(allEnrichedRepos, existingRepos);
+    // Merge with existing ownership data (a targeted run keeps every other record untouched)
+    const mergedRepos = [
+        ...mergeWithOwnership(allEnrichedRepos, existingRepos.filter(isTargeted), allFailedRepos),
+        ...existingRepos.filter(repo => !isTargeted(repo))
+    ];
+    const staleCount = mergedRepos.filter(repo => repo.stale).length;
+    const archivedCount = mergedRepos.filter(repo => repo.status === 'archived').length;
+    const complianceCounts = { compliant: 0, 'non-compliant': 0, unknown: 0 };
+    mergedRepos.forEach(repo => {
+        if (repo.status !== 'archived' && repo.compliance) complianceCounts[repo.compliance.status]++;
+    });
 
     // Remove duplicates (in case same repo exists in multiple orgs)
     const uniqueRepos = Array.from(
         new Map(mergedRepos.map(repo => [`${repo.organization}/${repo.repository}`, repo])).values()
     );
 
-    // Update cache
-    cache.lastSync = new Date().toISOString();
-    saveCache(cache);
+    if (!dryRun) {
+        // SYNC_DATA_DIR / --output may point at a directory that does not exist yet
+        fs.mkdirSync(dataDir, { recursive: true });
+        fs.mkdirSync(outputDir, { recursive: true });
+
+        // Update cache
+        cache.lastSync = new Date().toISOString();
+        saveCache(cache);
+    }
 
     // Calculate totals
     const totals = orgStats.reduce((acc, stat) => ({
@@ -1462,26 +4093,86 @@ async function syncRepositories(options = {}) {
             version: '2.0',
             source: 'GitHub API sync',
             syncedAt: new Date().toISOString(),
-            organizations: orgConfigs.map(c => c.name),
+            organizations: targets
+                ? [...new Set(existingRepos.map(repo => repo.organization).concat(orgConfigs.map(c => c.name)))]
+                : orgConfigs.map(c => c.name),
             totalRepos: uniqueRepos.length,
             updated: totals.updated,
             skipped: totals.skipped,
             errors: totals.errors,
+            stale: staleCount,
+            archived: archivedCount,
+            compliance: complianceCounts,
+            remediationWindowDays: CONFIG.remediation.windowDays,
+            notModified: cacheStats.notModified,
+            retries: {
+                total: rateLimitState.retries,
+                secondaryRateLimits: rateLimitState.secondaryLimitHits,
+                repos: allRetries
+            },
             orgStats: orgStats
         },
         repositories: uniqueRepos
     };
 
-    // Backup existing file
-    if (fs.existsSync(CONFIG.dataFile)) {
-        const backupFile = CONFIG.dataFile.replace('.json', `.backup.${Date.now()}.json`);
-        fs.copyFileSync(CONFIG.dataFile, backupFile);
+    // Refuse to replace the data file with output the pages can't rely on
+    const schema = JSON.parse(fs.readFileSync(CONFIG.schemaFile, 'utf8'));
+    const violations = validateAgainstSchema(schema, JSON.parse(JSON.stringify(output)), { maxErrors: 20 });
+    if (violations.length > 0) {
+        console.error(`\n❌ Sync output does not match ${CONFIG.schemaFile}:`);
+        violations.forEach(violation => console.error(`   ${violation}`));
+        throw new Error(`Schema validation failed (${violations.length}${violations.length === 20 ? '+' : ''} violations); ${outputFile} was not changed`);
+    }
+
+    // Diff against the file about to be replaced
+    const changeReport = buildChangeReport(existingRepos, uniqueRepos, loadPreviousSyncTime(), allAlertDetails);
+
+    if (dryRun) {
+        console.log(`\n${formatChangeReportMarkdown(changeReport)}`);
+        console.log(`🧪 Dry run: nothing written (${uniqueRepos.length} repositories, ${totals.updated} updated, ${totals.errors} errors)`);
+        return output;
+    }
+
+    // Backup existing file (not for every webhook event)
+    if (fs.existsSync(outputFile) && !options.webhook) {
+        const backupFile = outputFile.replace(/\.json$/, '') + `.backup.${Date.now()}.json`;
+        fs.copyFileSync(outputFile, backupFile);
         console.log(`\n💾 Backed up existing data to ${backupFile}`);
     }
 
     // Write new data
-    fs.writeFileSync(CONFIG.dataFile, JSON.stringify(output, null, 2));
-    
+    fs.writeFileSync(outputFile, JSON.stringify(output, null, 2));
+
+    // Append today's snapshot to the trend history
+    recordHistorySnapshot(uniqueRepos, sideFiles.historyFile);
+
+    if (CONFIG.alertDetails.enabled) {
+        saveAlertDetails(allAlertDetails, uniqueRepos, sideFiles.alertsFile);
+    }
+
+    savePackageInventory(allPackages, uniqueRepos, sideFiles.packagesFile);
+    saveRuleInventory(allRules, uniqueRepos, sideFiles.rulesFile);
+
+    // Webhook updates keep the scheduled sync's change report on the dashboard
+    if (!options.webhook) {
+        saveChangeReport(changeReport, sideFiles);
+    }
+
+    // A failed org keeps its progress for --resume. The finished orgs are in the data file now, so they are
+    // dropped from the checkpoint: the next run fetches them again instead of reusing this run's copy.
+    if (!targets) {
+        const unfinishedOrgs = orgConfigs.filter(config => !(checkpointState.orgs[config.name] || {}).completed);
+        if (unfinishedOrgs.length === 0) {
+            clearCheckpoint();
+        } else {
+            Object.keys(checkpointState.orgs).forEach(org => {
+                if (checkpointState.orgs[org].completed) delete checkpointState.orgs[org];
+            });
+            checkpoint.save();
+            console.log(`\n♻️  Checkpoint kept for ${unfinishedOrgs.map(config => config.name).join(', ')}: rerun with --resume to continue them`);
+        }
+    }
+
     console.log(`\n${'='.repeat(60)}`);
     console.log('✅ Sync complete!');
     console.log(`   Organizations: ${orgConfigs.length}`);
@@ -1489,8 +4180,22 @@ async function syncRepositories(options = {}) {
     console.log(`   Updated: ${totals.updated}`);
     console.log(`   Skipped: ${totals.skipped}`);
     console.log(`   Errors: ${totals.errors}`);
+    if (archivedCount > 0) {
+        console.log(`   Archived (final snapshot kept): ${archivedCount}`);
+    }
+    console.log(`   Branch protection: ${complianceCounts.compliant} compliant, ${complianceCounts['non-compliant']} non-compliant, ${complianceCounts.unknown} unknown`);
+    if (staleCount > 0) {
+        console.log(`   Stale (kept previous data): ${staleCount}`);
+    }
     console.log(`   Rate limit remaining: ${rateLimitState.remaining} requests`);
-    console.log(`   Data saved to ${CONFIG.dataFile}`);
+    console.log(`   Conditional requests: ${cacheStats.notModified} not modified, ${cacheStats.fetched} fetched`);
+    console.log(`   Retries: ${rateLimitState.retries} (${rateLimitState.secondaryLimitHits} secondary rate limits)`);
+    if (transport.mode === 'record') {
+        console.log(`   Recorded ${transport.stats.recorded} fixtures to ${transport.fixturesDir}`);
+    } else if (transport.mode === 'replay') {
+        console.log(`   Replayed ${transport.stats.replayed} fixtures (${transport.stats.missing} requests had no fixture)`);
+    }
+    console.log(`   Data saved to ${outputFile}`);
 
     return output;
 }
@@ -1498,9 +4203,20 @@ async function syncRepositories(options = {}) {
 // CLI handling
 if (require.main === module) {
     const args = process.argv.slice(2);
+    const valuesOf = name => args.filter(arg => arg.startsWith(`${name}=`)).map(arg => arg.slice(name.length + 1));
     const options = {
         org: args.find(arg => arg.startsWith('--org='))?.split('=')[1] || process.env.GITHUB_ORG,
-        full: args.includes('--full')
+        full: args.includes('--full'),
+        alertDetails: args.includes('--alert-details'),
+        orgAlerts: args.includes('--org-alerts'),
+        graphql: args.includes('--graphql'),
+        resume: args.includes('--resume'),
+        config: valuesOf('--config')[0] || null,
+        dryRun: args.includes('--dry-run'),
+        repos: valuesOf('--repo'),
+        reposFile: valuesOf('--repos-file')[0] || null,
+        skip: valuesOf('--skip').flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean),
+        output: valuesOf('--output')[0] || null
     };
 
     syncRepositories(options)
@@ -1514,5 +4230,9 @@ if (require.main === module) {
         });
 }
 
-module.exports = { syncRepositories };
+module.exports = {
+    syncRepositories,
+    buildHistorySnapshot,
+    applyHistoryRetention
+};
 
@@ -0,0 +1,206 @@
+/**
+ * Sync tests
+ *
+ * Run scripts/sync-github-data.js offline against the recorded fixtures in scripts/fixtures/github
+ * (GITHUB_TRANSPORT=replay, or mock against scripts/mock-github-server.js) and check what it writes.
+ * Each run is a separate process with its own SYNC_DATA_DIR, since the transport and data paths are
+ * read when the script loads. Run with `npm test`.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { startMockServer } = require('./mock-github-server');
+const { DEFAULT_FIXTURES_DIR, getFixturePath } = require('./github-transport');
+
+const SYNC_SCRIPT = path.join(__dirname, 'sync-github-data.js');
+const REPLAY_ARGS = ['--org=example-org', '--alert-details'];
+
+const tempDirs = [];
+function makeTempDir(prefix) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    tempDirs.push(dir);
+    return dir;
+}
+after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * Run the sync with the given arguments, resolving { code, output, dataDir, read(file) }
+ */
+function runSync(args, options = {}) {
+    const dataDir = options.dataDir || makeTempDir('sync-test-');
+    const env = {
+        ...process.env,
+        GITHUB_TRANSPORT: 'replay',
+        SYNC_DATA_DIR: dataDir,
+        ...options.env
+    };
+    return new Promise(resolve => {
+        execFile(process.execPath, [SYNC_SCRIPT, ...args], { env, timeout: 60000 }, (error, stdout, stderr) => {
+            resolve({
+                code: error ? error.code : 0,
+                output: stdout + stderr,
+                dataDir,
+                read: file => JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'))
+            });
+        });
+    });
+}
+
+/**
+ * Write a sync config file (data/sync-config.json format) to a temporary directory
+ */
+function writeSyncConfig(config) {
+    const file = path.join(makeTempDir('sync-config-'), 'sync-config.json');
+    fs.writeFileSync(file, JSON.stringify({ organizations: [], ...config }));
+    return file;
+}
+
+const repoNames = data => data.repositories.map(repo => repo.repository).sort();
+
+/**
+ * The fields of each record that come from the fixtures (no sync timestamps), sorted by name
+ */
+function summarizeRecords(data) {
+    return data.repositories
+        .map(repo => ({
+            repository: repo.repository,
+            pod: repo.pod,
+            vertical: repo.vertical,
+            status: repo.status,
+            codeScanning: repo.vulnerabilities.codeScanning.total,
+            dependabot: repo.vulnerabilities.dependabot.total,
+            secretScanning: repo.vulnerabilities.secretScanning.total
+        }))
+        .sort((a, b) => a.repository.localeCompare(b.repository));
+}
+
+const EXPECTED_RECORDS = [
+    { repository: 'legacy-billing', pod: 'Vertical1-Pod2', vertical: 'Vertical1', status: 'archived', codeScanning: 0, dependabot: 1, secretScanning: 0 },
+    { repository: 'payments-api', pod: 'Vertical1-Pod1', vertical: 'Vertical1', status: 'active', codeScanning: 2, dependabot: 0, secretScanning: 1 },
+    { repository: 'web-frontend', pod: 'Vertical2-Pod1', vertical: 'Vertical2', status: 'active', codeScanning: 0, dependabot: 2, secretScanning: 0 }
+];
+
+test('a replay sync writes a record per fixture repository', async () => {
+    const result = await runSync(REPLAY_ARGS);
+
+    assert.equal(result.code, 0, result.output);
+    const data = result.read('repositories.json');
+    assert.deepEqual(summarizeRecords(data), EXPECTED_RECORDS);
+    assert.equal(data.metadata.totalRepos, 3);
+    assert.equal(data.metadata.errors, 0);
+    assert.equal(result.read('history.json').snapshots.length, 1);
+});
+
+test('a sync keeps the ownership fields of existing records and drops repositories GitHub no longer lists', async () => {
+    const first = await runSync(REPLAY_ARGS);
+    assert.equal(first.code, 0, first.output);
+
+    // Seed a fresh data directory: a manager set by hand and a repository that has since been deleted
+    const existing = first.read('repositories.json');
+    const payments = existing.repositories.find(repo => repo.repository === 'payments-api');
+    payments.engineeringManager = 'Dana Lee';
+    existing.repositories = [payments, { ...payments, repository: 'old-service', engineeringManager: '' }];
+    const dataDir = makeTempDir('sync-test-');
+    fs.writeFileSync(path.join(dataDir, 'repositories.json'), JSON.stringify(existing));
+
+    const result = await runSync(REPLAY_ARGS, { dataDir });
+    assert.equal(result.code, 0, result.output);
+
+    const data = result.read('repositories.json');
+    assert.deepEqual(summarizeRecords(data), EXPECTED_RECORDS);
+    assert.equal(data.repositories.find(repo => repo.repository === 'payments-api').engineeringManager, 'Dana Lee');
+
+    const changes = result.read('sync-changes.json');
+    assert.deepEqual(changes.removed.map(repo => repo.repository), ['old-service']);
+    assert.deepEqual(changes.added.map(repo => repo.repository).sort(), ['legacy-billing', 'web-frontend']);
+});
+
+test('the repository list follows the Link header to the next page', async () => {
+    // Split the recorded list over two pages in a copy of the fixtures
+    const fixturesDir = makeTempDir('sync-fixtures-');
+    fs.cpSync(DEFAULT_FIXTURES_DIR, fixturesDir, { recursive: true });
+    const pagePath = page => `/orgs/example-org/repos?type=all&per_page=100&page=${page}`;
+    const firstPageFile = getFixturePath(fixturesDir, 'GET', pagePath(1));
+    const fixture = JSON.parse(fs.readFileSync(firstPageFile, 'utf8'));
+    const repos = fixture.response.body;
+
+    fixture.response.headers.link = `<https://api.github.com${pagePath(2)}>; rel="next", <https://api.github.com${pagePath(2)}>; rel="last"`;
+    fixture.response.body = repos.slice(0, 2);
+    fs.writeFileSync(firstPageFile, JSON.stringify(fixture));
+    fs.writeFileSync(getFixturePath(fixturesDir, 'GET', pagePath(2)), JSON.stringify({
+        request: { method: 'GET', path: pagePath(2) },
+        response: { statusCode: 200, headers: {}, body: repos.slice(2) }
+    }));
+
+    const result = await runSync(REPLAY_ARGS, { env: { GITHUB_FIXTURES_DIR: fixturesDir } });
+    assert.equal(result.code, 0, result.output);
+    assert.match(result.output, /Fetched page 1: 2 repos \(total: 2\)/);
+    assert.match(result.output, /Fetched page 2: 1 repos \(total: 3\)/);
+    assert.deepEqual(summarizeRecords(result.read('repositories.json')), EXPECTED_RECORDS);
+});
+
+test('a second sync sends the cached ETags and reuses the 304 responses', async () => {
+    const first = await runSync(REPLAY_ARGS);
+    assert.equal(first.code, 0, first.output);
+    assert.match(first.output, /Conditional requests: 0 not modified/);
+    assert.equal(first.read('repositories.json').metadata.notModified, 0);
+
+    const second = await runSync(REPLAY_ARGS, { dataDir: first.dataDir });
+    assert.equal(second.code, 0, second.output);
+    const data = second.read('repositories.json');
+    assert.ok(data.metadata.notModified > 0, second.output);
+    // Unchanged endpoints keep the data of the first run
+    assert.deepEqual(summarizeRecords(data), EXPECTED_RECORDS);
+});
+
+test('a sync against the mock server writes the same records as a replay', async () => {
+    const server = await startMockServer({ port: 0, quiet: true });
+    try {
+        const result = await runSync(REPLAY_ARGS, {
+            env: { GITHUB_TRANSPORT: 'mock', GITHUB_API_BASE: `http://127.0.0.1:${server.address().port}` }
+        });
+        assert.equal(result.code, 0, result.output);
+        assert.deepEqual(summarizeRecords(result.read('repositories.json')), EXPECTED_RECORDS);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('the config file\'s exclude patterns apply to an organization given with --org', async () => {
+    const config = writeSyncConfig({ repositories: { include: [], exclude: ['^legacy-'] } });
+    const result = await runSync(['--org=example-org', `--config=${config}`]);
+
+    assert.equal(result.code, 0, result.output);
+    assert.match(result.output, /1 excluded by the sync config patterns/);
+    assert.deepEqual(repoNames(result.read('repositories.json')), ['payments-api', 'web-frontend']);
+});
+
+test('the config file\'s include patterns apply to an organization given with --org', async () => {
+    const config = writeSyncConfig({ repositories: { include: ['^payments-'], exclude: [] } });
+    const result = await runSync(['--org=example-org', '--dry-run', `--config=${config}`]);
+
+    assert.equal(result.code, 0, result.output);
+    assert.match(result.output, /Found 1 repositories/);
+    assert.match(result.output, /2 excluded by the sync config patterns/);
+});
+
+test('weekly snapshots keep their group rows but not the per-repository ones', () => {
+    const { applyHistoryRetention } = require('./sync-github-data');
+    const now = new Date('2026-06-01T12:00:00Z');
+    const snapshot = daysAgo => ({
+        date: new Date(now - daysAgo * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+        totals: [1],
+        orgs: { 'example-org': [1] },
+        repos: { 'example-org/payments-api': [1] }
+    });
+    const kept = applyHistoryRetention([snapshot(1), snapshot(90), snapshot(200), snapshot(800)], now);
+
+    assert.equal(kept.length, 3);
+    assert.deepEqual(kept.map(s => Boolean(s.repos)), [false, true, true]);
+    assert.deepEqual(kept[0].orgs, { 'example-org': [1] });
+});
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Validate Repository Data
+ *
+ * Checks a data file against data/repository-schema.json (the same check the sync runs
+ * before it replaces the file, and the tracker runs when it loads it).
+ *
+ * Usage:
+ *   node scripts/validate-data.js [data/repositories.json] [--schema=data/repository-schema.json]
+ *
+ * Exits with 1 when the file is not valid JSON or violates the schema.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateAgainstSchema } = require('../js/schema-validator.js');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '../data/repositories.json');
+const DEFAULT_SCHEMA_FILE = path.join(__dirname, '../data/repository-schema.json');
+
+/**
+ * Validate a data file
+ *
+ * @returns {Array<string>} schema violations (empty when valid)
+ */
+function validateDataFile(dataFile = DEFAULT_DATA_FILE, schemaFile = DEFAULT_SCHEMA_FILE, maxErrors = 50) {
+    const schema = JSON.parse(fs.readFileSync(schemaFile, 'utf8'));
+    const data = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    return validateAgainstSchema(schema, data, { maxErrors });
+}
+
+// CLI handling
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const dataFile = args.find(arg => !arg.startsWith('--')) || DEFAULT_DATA_FILE;
+    const schemaFile = args.find(arg => arg.startsWith('--schema='))?.split('=')[1] || DEFAULT_SCHEMA_FILE;
+
+    try {
+        const violations = validateDataFile(dataFile, schemaFile);
+        if (violations.length > 0) {
+            console.error(`❌ ${dataFile} does not match ${schemaFile}:`);
+            violations.forEach(violation => console.error(`   ${violation}`));
+            process.exit(1);
+        }
+        console.log(`✅ ${dataFile} is valid`);
+    } catch (error) {
+        console.error(`❌ Could not validate ${dataFile}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { validateDataFile };
@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+/**
+ * Webhook Receiver
+ *
+ * Listens for GitHub webhook deliveries and resyncs just the affected repository with the
+ * sync's own enrichment code (a targeted `sync-github-data.js --repo=org/name` run), so a new
+ * alert or leaked secret shows up in data/repositories.json without waiting for the daily sync.
+ *
+ * Handled events: repository, custom_property_values, code_scanning_alert, dependabot_alert,
+ * secret_scanning_alert (ping is answered, anything else is ignored). Every delivery must carry a
+ * valid X-Hub-Signature-256 for WEBHOOK_SECRET.
+ * Repositories the sync config's include/exclude patterns leave out are not synced.
+ *
+ * Usage:
+ *   WEBHOOK_SECRET=... node scripts/webhook-server.js [--port=4020] [--host=127.0.0.1] [--alert-details]
+ *
+ * Send a recorded payload to a running receiver:
+ *   WEBHOOK_SECRET=... node scripts/webhook-server.js send scripts/fixtures/webhooks/secret_scanning_alert.json [--url=http://127.0.0.1:4020/webhook]
+ *
+ * The sync runs with the usual environment (App credentials, sync config, GITHUB_TRANSPORT,
+ * SYNC_DATA_DIR), so recorded payloads can be replayed fully offline against the fixtures.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const { syncRepositories } = require('./sync-github-data');
+
+// Events that change what the data file holds for a repository
+const WEBHOOK_EVENTS = [
+    'repository',
+    'custom_property_values',
+    'code_scanning_alert',
+    'dependabot_alert',
+    'secret_scanning_alert'
+];
+
+// GitHub caps payloads at 25 MB
+const MAX_BODY_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Sign a payload the way GitHub does (X-Hub-Signature-256)
+ */
+function signPayload(secret, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Check an X-Hub-Signature-256 header against the raw body (constant-time)
+ */
+function verifySignature(secret, body, signature) {
+    if (typeof signature !== 'string' || !signature.startsWith('sha256=')) return false;
+    const expected = Buffer.from(signPayload(secret, body));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Get the "org/name" a delivery is about (null when the event doesn't name one)
+ */
+function getEventRepository(event, payload) {
+    if (!WEBHOOK_EVENTS.includes(event)) return null;
+    const fullName = payload && payload.repository && payload.repository.full_name;
+    return typeof fullName === 'string' && /^[^/\s]+\/[^/\s]+$/.test(fullName) ? fullName : null;
+}
+
+/**
+ * Run targeted syncs one at a time
+ *
+ * Deliveries that arrive while a sync runs are batched into the next one (an alert
+ * storm on one repo costs one sync, and two syncs never write the data file at once).
+ */
+function createUpdateQueue(syncOptions = {}, sync = syncRepositories, log = console.log) {
+    const pending = new Set();
+    const state = { running: false, runs: 0, lastRun: null, lastError: null };
+    let idle = Promise.resolve();
+
+    async function drain() {
+        state.running = true;
+        while (pending.size > 0) {
+            const repos = [...pending];
+            pending.clear();
+            log(`\n🔔 Updating ${repos.join(', ')}`);
+            try {
+                await sync({ ...syncOptions, repos, webhook: true });
+                state.lastError = null;
+            } catch (error) {
+                console.error(`❌ Webhook update of ${repos.join(', ')} failed: ${error.message}`);
+                state.lastError = error.message;
+            }
+            state.runs++;
+            state.lastRun = new Date().toISOString();
+        }
+        state.running = false;
+    }
+
+    return {
+        add(repo) {
+            pending.add(repo);
+            if (!state.running) {
+                idle = drain();
+            }
+            return idle;
+        },
+        status() {
+            return { ...state, pending: [...pending] };
+        },
+        // Resolves once every queued update has been written
+        idle: () => idle
+    };
+}
+
+/**
+ * Start the webhook receiver
+ *
+ * @param {Object} options - { port, host, secret, path, syncOptions, sync, quiet }
+ * @returns {Promise<http.Server>} listening server (port 0 picks a free port) with server.queue
+ */
+function startWebhookServer(options = {}) {
+    const port = options.port !== undefined ? options.port : 4020;
+    const host = options.host || '127.0.0.1';
+    const endpoint = options.path || '/webhook';
+    const secret = options.secret;
+    if (!secret) {
+        return Promise.reject(new Error('A webhook secret is required (WEBHOOK_SECRET)'));
+    }
+
+    const log = message => {
+        if (!options.quiet) console.log(message);
+    };
+    const queue = createUpdateQueue(options.syncOptions, options.sync, log);
+    const reply = (res, statusCode, body) => {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    const handleRequest = async (req, res) => {
+        // Queue status, e.g. to wait for an update in a test
+        if (req.method === 'GET' && req.url === '/status') {
+            reply(res, 200, queue.status());
+            return;
+        }
+        if (req.method !== 'POST' || req.url !== endpoint) {
+            reply(res, 404, { message: 'Not Found' });
+            return;
+        }
+
+        // The signature covers the exact bytes received
+        const chunks = [];
+        let size = 0;
+        try {
+            for await (const chunk of req) {
+                size += chunk.length;
+                if (size > MAX_BODY_BYTES) {
+                    reply(res, 413, { message: 'Payload too large' });
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            }
+        } catch (error) {
+            // The client went away mid-body (ECONNRESET "aborted"): nobody is left to answer
+            log(`🚫 ${req.headers['x-github-event'] || 'unknown event'}: request aborted (${error.message})`);
+            return;
+        }
+        const body = Buffer.concat(chunks);
+
+        const event = req.headers['x-github-event'];
+        const delivery = req.headers['x-github-delivery'] || '-';
+        if (!verifySignature(secret, body, req.headers['x-hub-signature-256'])) {
+            log(`🚫 401 ${event || 'unknown event'} (${delivery}): invalid signature`);
+            reply(res, 401, { message: 'Invalid signature' });
+            return;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(body.toString('utf8'));
+        } catch (error) {
+            reply(res, 400, { message: 'Invalid JSON payload' });
+            return;
+        }
+
+        if (event === 'ping') {
+            log(`🏓 ping (${delivery})`);
+            reply(res, 200, { message: 'pong' });
+            return;
+        }
+
+        const repo = getEventRepository(event, payload);
+        if (!repo) {
+            log(`⏭️  202 ${event || 'unknown event'}${payload.action ? `.${payload.action}` : ''} (${delivery}): ignored`);
+            reply(res, 202, { message: 'Ignored' });
+            return;
+        }
+
+        // Answer right away: GitHub gives up on deliveries after 10 seconds
+        log(`📬 202 ${event}${payload.action ? `.${payload.action}` : ''} for ${repo} (${delivery})`);
+        queue.add(repo);
+        reply(res, 202, { message: 'Queued', repository: repo });
+    };
+
+    // A rejected handler would be an unhandled rejection, which ends the process
+    const server = http.createServer((req, res) => {
+        handleRequest(req, res).catch(error => {
+            console.error(`❌ Webhook request failed: ${error.message}`);
+            if (!res.headersSent && !res.destroyed) {
+                reply(res, 500, { message: 'Internal error' });
+            }
+        });
+    });
+    server.queue = queue;
+
+    return new Promise((resolve, reject) => {
+        server.on('error', reject);
+        server.listen(port, host, () => resolve(server));
+    });
+}
+
+/**
+ * Send a recorded payload ({ event, payload }) to a receiver, signed with the secret
+ *
+ * @returns {Promise<{ statusCode, body }>}
+ */
+function sendRecordedWebhook(file, options = {}) {
+    const recorded = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!recorded.event || !recorded.payload) {
+        throw new Error(`${file}: expected { "event": ..., "payload": ... }`);
+    }
+    const body = Buffer.from(JSON.stringify(recorded.payload));
+    const url = new URL(options.url || 'http://127.0.0.1:4020/webhook');
+
+    return new Promise((resolve, reject) => {
+        const req = http.request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': body.length,
+                'X-GitHub-Event': recorded.event,
+                'X-GitHub-Delivery': crypto.randomUUID(),
+                'X-Hub-Signature-256': signPayload(options.secret, body)
+            }
+        }, res => {
+            let responseBody = '';
+            res.on('data', chunk => { responseBody += chunk; });
+            res.on('end', () => resolve({ statusCode: res.statusCode, body: responseBody }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+// CLI handling
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const valueOf = name => args.find(arg => arg.startsWith(`${name}=`))?.slice(name.length + 1);
+    const secret = process.env.WEBHOOK_SECRET;
+
+    if (!secret) {
+        console.error('❌ Set WEBHOOK_SECRET to the secret configured on the GitHub webhook');
+        process.exit(1);
+    }
+
+    if (args[0] === 'send') {
+        const file = args[1];
+        if (!file) {
+            console.error('❌ Usage: node scripts/webhook-server.js send <payload.json> [--url=...]');
+            process.exit(1);
+        }
+        Promise.resolve()
+            .then(() => sendRecordedWebhook(file, { secret, url: valueOf('--url') }))
+            .then(({ statusCode, body }) => {
+                console.log(`${statusCode} ${body}`);
+                process.exit(statusCode < 300 ? 0 : 1);
+            })
+            .catch(error => {
+                console.error('❌ Failed to send webhook:', error.message);
+                process.exit(1);
+            });
+    } else {
+        const port = parseInt(valueOf('--port') || process.env.WEBHOOK_PORT || '4020');
+        const host = valueOf('--host') || '127.0.0.1';
+        const syncOptions = { alertDetails: args.includes('--alert-details') };
+
+        startWebhookServer({ port, host, secret, syncOptions })
+            .then(server => {
+                const address = server.address();
+                console.log(`🔔 Webhook receiver listening on http://${address.address}:${address.port}/webhook`);
+                console.log(`   Events: ${WEBHOOK_EVENTS.join(', ')}`);
+            })
+            .catch(error => {
+                console.error('❌ Failed to start webhook receiver:', error.message);
+                process.exit(1);
+            });
+    }
+}
+
+module.exports = {
+    startWebhookServer,
+    sendRecordedWebhook,
+    verifySignature,
+    signPayload,
+    getEventRepository
+};
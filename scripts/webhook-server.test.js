@@ -0,0 +1,229 @@
+/**
+ * Webhook Receiver tests
+ *
+ * Starts the receiver on a free port with a stub sync (or the real one, replaying the fixtures) and
+ * sends it the recorded payloads in scripts/fixtures/webhooks. Run with `npm test`.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// The real sync (used by one test) replays the fixtures into a temporary directory; both are read on load
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-test-'));
+process.env.GITHUB_TRANSPORT = 'replay';
+process.env.SYNC_DATA_DIR = DATA_DIR;
+after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+const { startWebhookServer, sendRecordedWebhook, signPayload } = require('./webhook-server');
+
+const SECRET = 'test-secret';
+const FIXTURES_DIR = path.join(__dirname, 'fixtures/webhooks');
+
+/**
+ * Start a receiver whose sync records its calls (and waits for `gate` when one is given)
+ */
+async function startTestServer(gate = null) {
+    const calls = [];
+    const sync = async options => {
+        calls.push(options.repos);
+        if (gate) await gate;
+    };
+    const server = await startWebhookServer({ port: 0, secret: SECRET, sync, quiet: true });
+    const url = `http://127.0.0.1:${server.address().port}`;
+    return { server, calls, url };
+}
+
+function closeServer(server) {
+    return new Promise(resolve => server.close(resolve));
+}
+
+/**
+ * POST a raw body with the given headers, resolving { statusCode, body }
+ */
+function post(url, body, headers) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(`${url}/webhook`, { method: 'POST', headers }, res => {
+            let responseBody = '';
+            res.on('data', chunk => { responseBody += chunk; });
+            res.on('end', () => resolve({ statusCode: res.statusCode, body: responseBody }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+function getStatus(url) {
+    return new Promise((resolve, reject) => {
+        http.get(`${url}/status`, res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(body) }));
+        }).on('error', reject);
+    });
+}
+
+function sendFixture(url, name) {
+    return sendRecordedWebhook(path.join(FIXTURES_DIR, name), { secret: SECRET, url: `${url}/webhook` });
+}
+
+test('a delivery with a valid signature queues a sync of its repository', async () => {
+    const { server, calls, url } = await startTestServer();
+    try {
+        const response = await sendFixture(url, 'secret_scanning_alert.json');
+        assert.equal(response.statusCode, 202);
+        assert.deepEqual(JSON.parse(response.body), { message: 'Queued', repository: 'example-org/payments-api' });
+
+        await server.queue.idle();
+        assert.deepEqual(calls, [['example-org/payments-api']]);
+    } finally {
+        await closeServer(server);
+    }
+});
+
+test('an invalid or missing signature is rejected without a sync', async () => {
+    const { server, calls, url } = await startTestServer();
+    try {
+        const body = JSON.stringify({ repository: { full_name: 'example-org/payments-api' } });
+        const wrongSecret = await post(url, body, {
+            'X-GitHub-Event': 'dependabot_alert',
+            'X-Hub-Signature-256': signPayload('other-secret', body)
+        });
+        const unsigned = await post(url, body, { 'X-GitHub-Event': 'dependabot_alert' });
+
+        assert.equal(wrongSecret.statusCode, 401);
+        assert.equal(unsigned.statusCode, 401);
+        assert.deepEqual(calls, []);
+    } finally {
+        await closeServer(server);
+    }
+});
+
+test('ping is answered and unhandled events are ignored', async () => {
+    const { server, calls, url } = await startTestServer();
+    try {
+        const ping = await sendFixture(url, 'ping.json');
+        assert.equal(ping.statusCode, 200);
+
+        const body = JSON.stringify({ action: 'opened', repository: { full_name: 'example-org/payments-api' } });
+        const issues = await post(url, body, {
+            'X-GitHub-Event': 'issues',
+            'X-Hub-Signature-256': signPayload(SECRET, body)
+        });
+        assert.equal(issues.statusCode, 202);
+        assert.deepEqual(JSON.parse(issues.body), { message: 'Ignored' });
+        assert.deepEqual(calls, []);
+    } finally {
+        await closeServer(server);
+    }
+});
+
+test('a client that disconnects mid-body does not take the receiver down', async () => {
+    const { server, calls, url } = await startTestServer();
+    try {
+        await new Promise(resolve => {
+            const req = http.request(`${url}/webhook`, {
+                method: 'POST',
+                headers: { 'Content-Length': 1000, 'X-GitHub-Event': 'dependabot_alert' }
+            });
+            req.on('error', () => resolve());
+            req.write('{"repository":');
+            // Give the server time to start reading the body before the socket closes
+            setTimeout(() => {
+                req.destroy();
+                setTimeout(resolve, 50);
+            }, 50);
+        });
+
+        const status = await getStatus(url);
+        assert.equal(status.statusCode, 200);
+        assert.deepEqual(calls, []);
+
+        // Still accepting deliveries
+        const response = await sendFixture(url, 'dependabot_alert.json');
+        assert.equal(response.statusCode, 202);
+    } finally {
+        await server.queue.idle();
+        await closeServer(server);
+    }
+});
+
+test('deliveries that arrive during a sync are batched into the next one', async () => {
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const { server, calls, url } = await startTestServer(gate);
+    try {
+        // The first delivery starts a sync that waits for the gate
+        await sendFixture(url, 'code_scanning_alert.json');
+        await sendFixture(url, 'dependabot_alert.json');
+        await sendFixture(url, 'repository.json');
+        await sendFixture(url, 'custom_property_values.json');
+
+        const status = await getStatus(url);
+        assert.equal(status.body.running, true);
+        assert.deepEqual(status.body.pending.sort(), ['example-org/payments-api', 'example-org/web-frontend']);
+
+        release();
+        await server.queue.idle();
+        assert.deepEqual(calls, [
+            ['example-org/payments-api'],
+            ['example-org/web-frontend', 'example-org/payments-api']
+        ]);
+        assert.equal(server.queue.status().runs, 2);
+    } finally {
+        release();
+        await closeServer(server);
+    }
+});
+
+test('deliveries for repositories the sync config excludes are not synced', async () => {
+    const config = path.join(DATA_DIR, 'sync-config.json');
+    fs.writeFileSync(config, JSON.stringify({ organizations: [], repositories: { include: [], exclude: ['^web-'] } }));
+    const dataFile = path.join(DATA_DIR, 'repositories.json');
+
+    // The sync's progress output would mix into the test runner's
+    const consoleLog = console.log;
+    console.log = () => {};
+    const server = await startWebhookServer({ port: 0, secret: SECRET, syncOptions: { config }, quiet: true });
+    const url = `http://127.0.0.1:${server.address().port}`;
+    try {
+        const excluded = await sendFixture(url, 'dependabot_alert.json');
+        assert.equal(excluded.statusCode, 202);
+        await server.queue.idle();
+        assert.equal(fs.existsSync(dataFile), false);
+
+        await sendFixture(url, 'secret_scanning_alert.json');
+        await server.queue.idle();
+        const data = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+        assert.deepEqual(data.repositories.map(repo => repo.repository), ['payments-api']);
+        assert.equal(server.queue.status().lastError, null);
+    } finally {
+        console.log = consoleLog;
+        await closeServer(server);
+    }
+});
+
+test('each update reports its own request counts, not the totals since the receiver started', async () => {
+    const dataFile = path.join(DATA_DIR, 'repositories.json');
+    const consoleLog = console.log;
+    console.log = () => {};
+    const server = await startWebhookServer({ port: 0, secret: SECRET, quiet: true });
+    const url = `http://127.0.0.1:${server.address().port}`;
+    try {
+        // The first update fills the conditional request cache, the next ones get the same 304s
+        const notModified = [];
+        for (let i = 0; i < 3; i++) {
+            await sendFixture(url, 'secret_scanning_alert.json');
+            await server.queue.idle();
+            notModified.push(JSON.parse(fs.readFileSync(dataFile, 'utf8')).metadata.notModified);
+        }
+        assert.ok(notModified[1] > 0);
+        assert.equal(notModified[2], notModified[1]);
+    } finally {
+        console.log = consoleLog;
+        await closeServer(server);
+    }
+});